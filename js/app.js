@@ -1160,7 +1160,7 @@ document.addEventListener('DOMContentLoaded', function() {
 // Register Service Worker for PWA
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js')
+    navigator.serviceWorker.register('sw.js') // relative, so it also works under a path prefix
       .then((registration) => {
         console.log('✅ Service Worker registered');
       })
@@ -2,13 +2,99 @@
  * SecureChat Cryptography Module
  * Implements end-to-end encryption using Web Crypto API
  * Supports AES-GCM encryption for messages and ECDH for key exchange
+ *
+ * Group messaging uses sender keys: every participant encrypts with its own
+ * symmetric sender key and hands a copy to each peer, wrapped with the
+ * pairwise ECDH secret it shares with that peer. Sender keys are numbered by
+ * epoch and replaced whenever the room membership changes.
+ *
+ * A sender key is the start of a symmetric ratchet: every message advances an
+ * HMAC chain and is encrypted with a one-time message key, and used chain keys
+ * are discarded, so a key compromised later cannot decrypt earlier traffic.
+ *
+ * Ciphertexts travel in a versioned envelope whose header (version, key
+ * scheme, key ID, counter and room ID) is authenticated as AES-GCM
+ * additional data, so it cannot be moved to another room or replayed.
+ * The header never names the sender: each sender key carries a random key ID
+ * that only holders of the key can map back to its owner.
+ * Plaintexts are padded to fixed size buckets before encryption so the
+ * ciphertext length does not reveal the message length, and a flag inside the
+ * padding marks cover traffic that receivers silently discard.
+ *
+ * Each session also has an ECDSA identity key pair used to sign every
+ * outgoing message so receivers can check who actually wrote it.
+ *
+ * Passphrase-protected rooms additionally share a room key derived from the
+ * passphrase, which encrypts messages until sender keys have been exchanged.
+ *
+ * A session can be exported as a passphrase-encrypted backup holding the
+ * identity keys and room key, so the same identity can rejoin from elsewhere.
+ *
+ * File attachments are encrypted in chunks with a fresh key per file; that
+ * key travels inside the encrypted chat message announcing the file.
+ *
+ * The module runs unchanged in browsers and Node 18+, where it can be loaded
+ * with require() or, through crypto.mjs, with import.
  */
 
+// Browsers and Node 19+ expose WebCrypto globally; Node 18 only via require
+let webcrypto = globalThis.crypto;
+if (!(webcrypto && webcrypto.subtle) && typeof require === 'function') {
+    webcrypto = require('crypto').webcrypto;
+}
+
+// Version of the encrypted message envelope
+const ENVELOPE_VERSION = 3;
+
+// Counters tracked per key stream when rejecting replays
+const REPLAY_WINDOW = 1000;
+
+// Random bytes identifying a sender key or room key stream in envelopes
+const SENDER_KEY_ID_BYTES = 8;
+
+// Previous sender key epochs kept per peer for messages still in flight
+const RETAINED_SENDER_KEY_EPOCHS = 1;
+
+// Largest gap in a sender's chain we will ratchet across in one step
+const MAX_SKIPPED_MESSAGES = 100;
+
+// Message keys cached per chain for out-of-order delivery
+const MAX_CACHED_SKIPPED_KEYS = 100;
+
+// Padded plaintext sizes; longer plaintexts round up to a multiple of the last
+const PADDING_BUCKETS = [64, 256, 1024, 4096];
+
+// Flag byte and big-endian length prefixed to every padded plaintext
+const PADDING_HEADER_BYTES = 5;
+const PADDING_FLAG_COVER = 0x01;
+
+// PBKDF2 work factor for stretching room passphrases
+const ROOM_KEY_ITERATIONS = 310000;
+
+// Marks and versions the text form of an exported session backup
+const SESSION_BACKUP_PREFIX = 'hippochat-session:';
+const SESSION_BACKUP_VERSION = 1;
+
+// Bytes converted per String.fromCharCode call when encoding base64
+const BASE64_CHUNK_SIZE = 0x8000;
+
 class SecureCrypto {
     constructor() {
         this.keyPair = null;
-        this.sharedSecret = null;
-        this.encryptionKey = null;
+        this.signingKeyPair = null;
+        this.peerSigningKeys = new Map(); // peer -> ECDSA public key
+        this.pairwiseKeys = new Map(); // peer -> ECDH-derived AES key
+        this.sendingChain = null; // { chainKey, index }
+        this.sendingQueue = Promise.resolve();
+        this.senderKeyEpoch = 0;
+        this.senderKeyRecipients = new Set();
+        this.peerSenderKeys = new Map(); // peer -> Map(epoch -> receiving chain)
+        this.senderKeyIds = new Map(); // key ID -> { peerId, epoch }
+        this.roomKey = null;
+        this.roomKeyId = null;
+        this.roomKeyCounter = 0;
+        this.roomKeyInfo = null; // { roomId, verifier } for the current room key
+        this.seenCounters = new Map(); // stream -> { highest, seen }
         this.isReady = false;
     }
 
@@ -18,7 +104,7 @@ class SecureCrypto {
     async initialize() {
         try {
             // Generate ECDH key pair for key exchange
-            this.keyPair = await window.crypto.subtle.generateKey(
+            this.keyPair = await webcrypto.subtle.generateKey(
                 {
                     name: "ECDH",
                     namedCurve: "P-384"
@@ -27,6 +113,19 @@ class SecureCrypto {
                 ["deriveKey"]
             );
 
+            // Generate ECDSA identity key pair for message signing
+            this.signingKeyPair = await webcrypto.subtle.generateKey(
+                {
+                    name: "ECDSA",
+                    namedCurve: "P-384"
+                },
+                true, // extractable
+                ["sign", "verify"]
+            );
+
+            // Generate our sender key for group messages
+            await this.generateSenderKey();
+
             this.isReady = true;
             console.log('🔐 Cryptographic keys initialized');
             return true;
@@ -45,13 +144,13 @@ class SecureCrypto {
         }
 
         try {
-            const exported = await window.crypto.subtle.exportKey(
+            const exported = await webcrypto.subtle.exportKey(
                 "raw",
                 this.keyPair.publicKey
             );
             
             // Convert to base64 for easy transmission
-            return btoa(String.fromCharCode(...new Uint8Array(exported)));
+            return SecureCrypto.bytesToBase64(new Uint8Array(exported));
         } catch (error) {
             console.error('❌ Failed to export public key:', error);
             throw new Error('Failed to export public key');
@@ -59,21 +158,114 @@ class SecureCrypto {
     }
 
     /**
-     * Import public key from another participant and derive shared secret
+     * Export our signing public key for publishing when joining a room
+     */
+    async exportSigningKey() {
+        if (!this.signingKeyPair) {
+            throw new Error('Crypto not initialized');
+        }
+
+        try {
+            const exported = await webcrypto.subtle.exportKey(
+                "raw",
+                this.signingKeyPair.publicKey
+            );
+            return SecureCrypto.bytesToBase64(new Uint8Array(exported));
+        } catch (error) {
+            console.error('❌ Failed to export signing key:', error);
+            throw new Error('Failed to export signing key');
+        }
+    }
+
+    /**
+     * Import the signing public key published by another participant
+     */
+    async importPeerSigningKey(peerId, signingKeyB64) {
+        try {
+            const signingKeyData = SecureCrypto.base64ToBytes(signingKeyB64);
+
+            const signingKey = await webcrypto.subtle.importKey(
+                "raw",
+                signingKeyData,
+                {
+                    name: "ECDSA",
+                    namedCurve: "P-384"
+                },
+                false, // not extractable
+                ["verify"]
+            );
+
+            this.peerSigningKeys.set(peerId, signingKey);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to import signing key:', error);
+            throw new Error('Invalid signing key');
+        }
+    }
+
+    /**
+     * Sign data with our identity key, returning a base64 signature
+     */
+    async signPayload(data) {
+        if (!this.signingKeyPair) {
+            throw new Error('Crypto not initialized');
+        }
+
+        const encoder = new TextEncoder();
+        const signature = await webcrypto.subtle.sign(
+            {
+                name: "ECDSA",
+                hash: "SHA-384"
+            },
+            this.signingKeyPair.privateKey,
+            encoder.encode(data)
+        );
+        return SecureCrypto.bytesToBase64(new Uint8Array(signature));
+    }
+
+    /**
+     * Verify a peer's signature over data. Returns false when the
+     * signature is invalid or we have no signing key for that peer.
+     */
+    async verifyPayload(peerId, data, signatureB64) {
+        const signingKey = this.peerSigningKeys.get(peerId);
+        if (!signingKey || !signatureB64) {
+            return false;
+        }
+
+        try {
+            const signature = SecureCrypto.base64ToBytes(signatureB64);
+            const encoder = new TextEncoder();
+            return await webcrypto.subtle.verify(
+                {
+                    name: "ECDSA",
+                    hash: "SHA-384"
+                },
+                signingKey,
+                signature,
+                encoder.encode(data)
+            );
+        } catch (error) {
+            console.warn('⚠️ Failed to verify signature:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Import public key from another participant and derive the pairwise
+     * secret used to wrap sender keys for them
      */
-    async deriveSharedKey(otherPublicKeyB64) {
+    async deriveSharedKey(otherPublicKeyB64, peerId) {
         if (!this.keyPair) {
             throw new Error('Crypto not initialized');
         }
 
         try {
             // Convert base64 back to ArrayBuffer
-            const otherPublicKeyData = new Uint8Array(
-                atob(otherPublicKeyB64).split('').map(char => char.charCodeAt(0))
-            );
+            const otherPublicKeyData = SecureCrypto.base64ToBytes(otherPublicKeyB64);
 
             // Import the other participant's public key
-            const otherPublicKey = await window.crypto.subtle.importKey(
+            const otherPublicKey = await webcrypto.subtle.importKey(
                 "raw",
                 otherPublicKeyData,
                 {
@@ -85,7 +277,7 @@ class SecureCrypto {
             );
 
             // Derive shared secret
-            this.sharedSecret = await window.crypto.subtle.deriveKey(
+            const sharedSecret = await webcrypto.subtle.deriveKey(
                 {
                     name: "ECDH",
                     public: otherPublicKey
@@ -99,8 +291,8 @@ class SecureCrypto {
                 ["encrypt", "decrypt"]
             );
 
-            this.encryptionKey = this.sharedSecret;
-            console.log('🔑 Shared encryption key derived');
+            this.pairwiseKeys.set(peerId, sharedSecret);
+            console.log(`🔑 Shared encryption key derived with ${peerId}`);
             return true;
         } catch (error) {
             console.error('❌ Failed to derive shared key:', error);
@@ -109,38 +301,568 @@ class SecureCrypto {
     }
 
     /**
-     * Encrypt a message using AES-GCM
+     * Generate a fresh sender key for our outgoing messages, starting a new epoch
      */
-    async encryptMessage(plaintext) {
-        if (!this.encryptionKey) {
-            throw new Error('Encryption key not established');
+    async generateSenderKey() {
+        this.sendingChain = {
+            keyId: webcrypto.getRandomValues(new Uint8Array(SENDER_KEY_ID_BYTES)),
+            chainKey: webcrypto.getRandomValues(new Uint8Array(32)),
+            index: 0
+        };
+        this.senderKeyEpoch++;
+        this.senderKeyRecipients.clear();
+        return this.senderKeyEpoch;
+    }
+
+    /**
+     * Wrap the current state of our sending chain with the pairwise secret
+     * shared with a peer. The peer can only read messages from this point on.
+     */
+    async exportSenderKeyFor(peerId) {
+        const pairwiseKey = this.pairwiseKeys.get(peerId);
+        if (!pairwiseKey || !this.sendingChain) {
+            throw new Error(`No secure channel with ${peerId}`);
         }
 
         try {
-            // Generate random IV
-            const iv = window.crypto.getRandomValues(new Uint8Array(12));
-            
-            // Convert string to ArrayBuffer
+            // Serialize as a 4-byte big-endian index, the key ID and the chain key
+            const { keyId, chainKey, index } = this.sendingChain;
+            const state = new Uint8Array(4 + keyId.length + chainKey.length);
+            new DataView(state.buffer).setUint32(0, index);
+            state.set(keyId, 4);
+            state.set(chainKey, 4 + keyId.length);
+
+            const wrappedKey = await this.encryptWithKey(pairwiseKey, state);
+            this.senderKeyRecipients.add(peerId);
+            return {
+                epoch: this.senderKeyEpoch,
+                key: wrappedKey
+            };
+        } catch (error) {
+            console.error('❌ Failed to export sender key:', error);
+            throw new Error('Failed to share encryption key');
+        }
+    }
+
+    /**
+     * Encrypt a payload for one peer with our pairwise secret. The context
+     * is authenticated so a payload cannot be replayed for another purpose.
+     */
+    async encryptForPeer(peerId, plaintext, context) {
+        const pairwiseKey = this.pairwiseKeys.get(peerId);
+        if (!pairwiseKey) {
+            throw new Error(`No secure channel with ${peerId}`);
+        }
+
+        const encoder = new TextEncoder();
+        return this.encryptWithKey(pairwiseKey, encoder.encode(plaintext), encoder.encode(context));
+    }
+
+    /**
+     * Decrypt a payload a peer encrypted for us with encryptForPeer
+     */
+    async decryptFromPeer(peerId, ciphertextB64, context) {
+        const pairwiseKey = this.pairwiseKeys.get(peerId);
+        if (!pairwiseKey) {
+            throw new Error(`No secure channel with ${peerId}`);
+        }
+
+        const decrypted = await this.decryptWithKey(pairwiseKey, ciphertextB64, new TextEncoder().encode(context));
+        return new TextDecoder().decode(decrypted);
+    }
+
+    /**
+     * Unwrap and store a sender chain received from a peer
+     */
+    async importSenderKey(peerId, wrappedKeyB64, epoch) {
+        const pairwiseKey = this.pairwiseKeys.get(peerId);
+        if (!pairwiseKey) {
+            throw new Error(`No secure channel with ${peerId}`);
+        }
+
+        try {
+            const state = new Uint8Array(await this.decryptWithKey(pairwiseKey, wrappedKeyB64));
+            const keyId = SecureCrypto.bytesToHex(state.subarray(4, 4 + SENDER_KEY_ID_BYTES));
+
+            const owner = this.senderKeyIds.get(keyId);
+            if (owner && owner.peerId !== peerId) {
+                throw new Error(`Sender key ID already used by ${owner.peerId}`);
+            }
+
+            if (!this.peerSenderKeys.has(peerId)) {
+                this.peerSenderKeys.set(peerId, new Map());
+            }
+            const epochs = this.peerSenderKeys.get(peerId);
+            epochs.set(epoch, {
+                keyId,
+                chainKey: state.slice(4 + SENDER_KEY_ID_BYTES),
+                index: new DataView(state.buffer).getUint32(0),
+                skippedKeys: new Map() // index -> message key
+            });
+            this.senderKeyIds.set(keyId, { peerId, epoch });
+
+            // Drop epochs that are too old to still be in flight
+            for (const [knownEpoch, chain] of epochs) {
+                if (knownEpoch < epoch - RETAINED_SENDER_KEY_EPOCHS) {
+                    epochs.delete(knownEpoch);
+                    this.senderKeyIds.delete(chain.keyId);
+                }
+            }
+
+            console.log(`🔑 Sender key epoch ${epoch} received from ${peerId}`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to import sender key:', error);
+            throw new Error('Failed to establish secure connection');
+        }
+    }
+
+    /**
+     * Advance a chain key one step, returning the message key for the
+     * current step and the chain key for the next one
+     */
+    async ratchetChainKey(chainKey) {
+        const hmacKey = await webcrypto.subtle.importKey(
+            "raw",
+            chainKey,
+            {
+                name: "HMAC",
+                hash: "SHA-256"
+            },
+            false,
+            ["sign"]
+        );
+
+        const messageKey = await webcrypto.subtle.sign("HMAC", hmacKey, new Uint8Array([1]));
+        const nextChainKey = await webcrypto.subtle.sign("HMAC", hmacKey, new Uint8Array([2]));
+
+        return {
+            messageKey: new Uint8Array(messageKey),
+            nextChainKey: new Uint8Array(nextChainKey)
+        };
+    }
+
+    /**
+     * Import a one-time message key for AES-GCM
+     */
+    async importMessageKey(rawKey, usage) {
+        return webcrypto.subtle.importKey(
+            "raw",
+            rawKey,
+            { name: "AES-GCM" },
+            false, // not extractable
+            [usage]
+        );
+    }
+
+    /**
+     * Take the next message key from our sending chain. Calls are queued so
+     * concurrent sends never reuse an index.
+     */
+    async nextSendingKey() {
+        const step = this.sendingQueue.then(async () => {
+            const chain = this.sendingChain;
+            const { messageKey, nextChainKey } = await this.ratchetChainKey(chain.chainKey);
+
+            // The old chain key is discarded here
+            this.sendingChain = {
+                keyId: chain.keyId,
+                chainKey: nextChainKey,
+                index: chain.index + 1
+            };
+
+            return {
+                keyId: SecureCrypto.bytesToHex(chain.keyId),
+                index: chain.index,
+                key: await this.importMessageKey(messageKey, "encrypt")
+            };
+        });
+        this.sendingQueue = step.catch(() => {});
+        return step;
+    }
+
+    /**
+     * Find the message key for a position in a peer's receiving chain.
+     * Returns the key and a commit function that advances the chain; it is
+     * only called once decryption succeeds so forged messages change nothing.
+     */
+    async getReceivingKey(chain, index) {
+        // Message from earlier in the chain that arrived out of order
+        if (index < chain.index) {
+            const rawKey = chain.skippedKeys.get(index);
+            if (!rawKey) {
+                throw new Error('Message key already used or expired');
+            }
+            return {
+                key: await this.importMessageKey(rawKey, "decrypt"),
+                commit: () => chain.skippedKeys.delete(index)
+            };
+        }
+
+        if (index - chain.index > MAX_SKIPPED_MESSAGES) {
+            throw new Error('Too many skipped messages');
+        }
+
+        // Ratchet forward, remembering the keys of any messages we skip over
+        const skipped = [];
+        let chainKey = chain.chainKey;
+        let step = await this.ratchetChainKey(chainKey);
+        for (let i = chain.index; i < index; i++) {
+            skipped.push([i, step.messageKey]);
+            chainKey = step.nextChainKey;
+            step = await this.ratchetChainKey(chainKey);
+        }
+
+        return {
+            key: await this.importMessageKey(step.messageKey, "decrypt"),
+            commit: () => {
+                chain.chainKey = step.nextChainKey;
+                chain.index = index + 1;
+                skipped.forEach(([skippedIndex, rawKey]) => chain.skippedKeys.set(skippedIndex, rawKey));
+
+                // Keep the skipped key cache bounded, evicting the oldest entries
+                while (chain.skippedKeys.size > MAX_CACHED_SKIPPED_KEYS) {
+                    chain.skippedKeys.delete(chain.skippedKeys.keys().next().value);
+                }
+            }
+        };
+    }
+
+    /**
+     * Derive the room key from a shared room passphrase.
+     * The passphrase is stretched with PBKDF2 salted with the room ID, then
+     * split with HKDF into the AES-GCM room key and a verifier for the server.
+     * Returns the verifier as hex; the server never sees the key itself.
+     */
+    async setRoomPassphrase(passphrase, roomId) {
+        try {
             const encoder = new TextEncoder();
-            const data = encoder.encode(plaintext);
+            const salt = encoder.encode(`hippochat-room:${roomId}`);
 
-            // Encrypt the data
-            const encrypted = await window.crypto.subtle.encrypt(
+            const passphraseKey = await webcrypto.subtle.importKey(
+                "raw",
+                encoder.encode(passphrase),
+                "PBKDF2",
+                false,
+                ["deriveBits"]
+            );
+
+            const stretched = await webcrypto.subtle.deriveBits(
+                {
+                    name: "PBKDF2",
+                    salt: salt,
+                    iterations: ROOM_KEY_ITERATIONS,
+                    hash: "SHA-256"
+                },
+                passphraseKey,
+                256
+            );
+
+            const hkdfKey = await webcrypto.subtle.importKey(
+                "raw",
+                stretched,
+                "HKDF",
+                false,
+                ["deriveKey", "deriveBits"]
+            );
+
+            this.roomKey = await webcrypto.subtle.deriveKey(
+                {
+                    name: "HKDF",
+                    hash: "SHA-256",
+                    salt: salt,
+                    info: encoder.encode("hippochat room key")
+                },
+                hkdfKey,
                 {
                     name: "AES-GCM",
-                    iv: iv
+                    length: 256
                 },
-                this.encryptionKey,
-                data
+                true, // extractable, so it can be included in session backups
+                ["encrypt", "decrypt"]
+            );
+
+            const verifier = await webcrypto.subtle.deriveBits(
+                {
+                    name: "HKDF",
+                    hash: "SHA-256",
+                    salt: salt,
+                    info: encoder.encode("hippochat room verifier")
+                },
+                hkdfKey,
+                256
+            );
+
+            // Room key streams get a random key ID so counters restart safely
+            this.roomKeyId = SecureCrypto.bytesToHex(
+                webcrypto.getRandomValues(new Uint8Array(SENDER_KEY_ID_BYTES))
+            );
+            this.roomKeyCounter = 0;
+
+            this.roomKeyInfo = {
+                roomId: roomId,
+                verifier: SecureCrypto.bytesToHex(new Uint8Array(verifier))
+            };
+
+            console.log('🔑 Room key derived from passphrase');
+            return this.roomKeyInfo.verifier;
+        } catch (error) {
+            console.error('❌ Failed to derive room key:', error);
+            throw new Error('Failed to derive room key');
+        }
+    }
+
+    /**
+     * Forget the room key, e.g. after the server rejected its verifier
+     */
+    clearRoomKey() {
+        this.roomKey = null;
+        this.roomKeyId = null;
+        this.roomKeyInfo = null;
+    }
+
+    /**
+     * Get the passphrase verifier for a room whose key we already hold
+     */
+    getRoomVerifier(roomId) {
+        return this.roomKeyInfo && this.roomKeyInfo.roomId === roomId ?
+            this.roomKeyInfo.verifier :
+            null;
+    }
+
+    /**
+     * Export our identity keys, the room key and the given room metadata,
+     * encrypted under a key stretched from a backup passphrase
+     */
+    async exportSession(passphrase, metadata) {
+        if (!this.keyPair || !this.signingKeyPair) {
+            throw new Error('Crypto not initialized');
+        }
+
+        try {
+            const session = {
+                keyPair: await this.exportKeyPair(this.keyPair),
+                signingKeyPair: await this.exportKeyPair(this.signingKeyPair),
+                roomKey: this.roomKey ?
+                    SecureCrypto.bytesToBase64(new Uint8Array(await webcrypto.subtle.exportKey("raw", this.roomKey))) :
+                    null,
+                roomKeyInfo: this.roomKeyInfo,
+                metadata: metadata
+            };
+
+            const salt = webcrypto.getRandomValues(new Uint8Array(16));
+            const backupKey = await this.deriveBackupKey(passphrase, salt);
+            const encoder = new TextEncoder();
+            const backup = {
+                v: SESSION_BACKUP_VERSION,
+                salt: SecureCrypto.bytesToBase64(salt),
+                data: await this.encryptWithKey(backupKey, encoder.encode(JSON.stringify(session)))
+            };
+
+            console.log('💾 Session exported');
+            return SESSION_BACKUP_PREFIX + btoa(JSON.stringify(backup));
+        } catch (error) {
+            console.error('❌ Failed to export session:', error);
+            throw new Error('Failed to export session');
+        }
+    }
+
+    /**
+     * Restore the identity keys and room key from a session backup, replacing
+     * our current keys. Returns the room metadata stored with the backup.
+     */
+    async importSession(backupText, passphrase) {
+        const text = backupText.trim();
+        let backup;
+        try {
+            if (!text.startsWith(SESSION_BACKUP_PREFIX)) {
+                throw new Error('Missing prefix');
+            }
+            backup = JSON.parse(atob(text.slice(SESSION_BACKUP_PREFIX.length)));
+        } catch (error) {
+            throw new Error('This is not a session backup');
+        }
+        if (backup.v !== SESSION_BACKUP_VERSION) {
+            throw new Error(`Unsupported session backup version: ${backup.v}`);
+        }
+
+        let session;
+        try {
+            const backupKey = await this.deriveBackupKey(passphrase, SecureCrypto.base64ToBytes(backup.salt));
+            const decoder = new TextDecoder();
+            session = JSON.parse(decoder.decode(await this.decryptWithKey(backupKey, backup.data)));
+        } catch (error) {
+            throw new Error('Incorrect backup passphrase');
+        }
+
+        try {
+            this.cleanup();
+            this.keyPair = await this.importKeyPair(
+                session.keyPair,
+                { name: "ECDH", namedCurve: "P-384" },
+                ["deriveKey"],
+                []
             );
+            this.signingKeyPair = await this.importKeyPair(
+                session.signingKeyPair,
+                { name: "ECDSA", namedCurve: "P-384" },
+                ["sign"],
+                ["verify"]
+            );
+
+            if (session.roomKey) {
+                this.roomKey = await webcrypto.subtle.importKey(
+                    "raw",
+                    SecureCrypto.base64ToBytes(session.roomKey),
+                    { name: "AES-GCM" },
+                    true, // extractable, so the restored session can be backed up again
+                    ["encrypt", "decrypt"]
+                );
+                this.roomKeyInfo = session.roomKeyInfo;
+                this.roomKeyId = SecureCrypto.bytesToHex(
+                    webcrypto.getRandomValues(new Uint8Array(SENDER_KEY_ID_BYTES))
+                );
+                this.roomKeyCounter = 0;
+            }
+
+            // Sender keys are never backed up; peers receive a fresh one
+            await this.generateSenderKey();
+
+            this.isReady = true;
+            console.log('💾 Session restored from backup');
+            return session.metadata;
+        } catch (error) {
+            console.error('❌ Failed to import session:', error);
+            this.cleanup();
+            throw new Error('Failed to restore session');
+        }
+    }
+
+    /**
+     * Stretch a backup passphrase into the AES-GCM key protecting a backup
+     */
+    async deriveBackupKey(passphrase, salt) {
+        const encoder = new TextEncoder();
+        const passphraseKey = await webcrypto.subtle.importKey(
+            "raw",
+            encoder.encode(passphrase),
+            "PBKDF2",
+            false,
+            ["deriveKey"]
+        );
+
+        return webcrypto.subtle.deriveKey(
+            {
+                name: "PBKDF2",
+                salt: salt,
+                iterations: ROOM_KEY_ITERATIONS,
+                hash: "SHA-256"
+            },
+            passphraseKey,
+            {
+                name: "AES-GCM",
+                length: 256
+            },
+            false, // not extractable
+            ["encrypt", "decrypt"]
+        );
+    }
+
+    /**
+     * Export both halves of a key pair as JWK
+     */
+    async exportKeyPair(keyPair) {
+        return {
+            publicKey: await webcrypto.subtle.exportKey("jwk", keyPair.publicKey),
+            privateKey: await webcrypto.subtle.exportKey("jwk", keyPair.privateKey)
+        };
+    }
+
+    /**
+     * Import a key pair exported by exportKeyPair
+     */
+    async importKeyPair(jwks, algorithm, privateUsages, publicUsages) {
+        return {
+            publicKey: await webcrypto.subtle.importKey("jwk", jwks.publicKey, algorithm, true, publicUsages),
+            privateKey: await webcrypto.subtle.importKey("jwk", jwks.privateKey, algorithm, true, privateUsages)
+        };
+    }
+
+    /**
+     * Forget all key material shared with a peer who left the room
+     */
+    forgetPeer(peerId) {
+        this.peerSigningKeys.delete(peerId);
+        this.pairwiseKeys.delete(peerId);
+        this.senderKeyRecipients.delete(peerId);
+        this.peerSenderKeys.delete(peerId);
+
+        for (const [keyId, owner] of this.senderKeyIds) {
+            if (owner.peerId === peerId) {
+                this.senderKeyIds.delete(keyId);
+                this.seenCounters.delete(`sender:${keyId}`);
+            }
+        }
+    }
+
+    /**
+     * Get the peers we share a pairwise secret with
+     */
+    getSecurePeers() {
+        return Array.from(this.pairwiseKeys.keys());
+    }
+
+    /**
+     * Check whether we can encrypt outgoing messages so someone can read
+     * them: a peer holds our current sender key, or there is a room key
+     */
+    canEncrypt() {
+        return !!this.sendingChain && (this.senderKeyRecipients.size > 0 || !!this.roomKey);
+    }
+
+    /**
+     * Encrypt a message into a versioned envelope using AES-GCM. Uses the next
+     * key from our sending chain once a peer holds it, falling back to the
+     * passphrase room key before that. Cover messages carry an empty body.
+     * The envelope identifies the key, never the sender. Pass roomKeyOnly to
+     * seal under the room key regardless, e.g. for copies kept as history.
+     */
+    async encryptMessage(plaintext, { roomId, cover = false, roomKeyOnly = false }) {
+        if (roomKeyOnly ? !this.roomKey : !this.canEncrypt()) {
+            throw new Error('Encryption key not established');
+        }
+
+        const useRoomKey = this.roomKey && (roomKeyOnly || this.senderKeyRecipients.size === 0);
 
-            // Combine IV and encrypted data
-            const result = new Uint8Array(iv.length + encrypted.byteLength);
-            result.set(iv);
-            result.set(new Uint8Array(encrypted), iv.length);
+        try {
+            let key = this.roomKey;
+            const header = {
+                v: ENVELOPE_VERSION,
+                scheme: 'room',
+                keyId: this.roomKeyId,
+                counter: this.roomKeyCounter,
+                roomId: roomId
+            };
+
+            if (useRoomKey) {
+                this.roomKeyCounter++;
+            } else {
+                const next = await this.nextSendingKey();
+                key = next.key;
+                header.scheme = 'sender';
+                header.keyId = next.keyId;
+                header.counter = next.index;
+            }
 
-            // Convert to base64 for transmission
-            return btoa(String.fromCharCode(...result));
+            const encoder = new TextEncoder();
+            return {
+                ...header,
+                ciphertext: await this.encryptWithKey(
+                    key,
+                    SecureCrypto.padPlaintext(encoder.encode(plaintext), cover),
+                    SecureCrypto.getEnvelopeAad(header)
+                )
+            };
         } catch (error) {
             console.error('❌ Failed to encrypt message:', error);
             throw new Error('Failed to encrypt message');
@@ -148,47 +870,297 @@ class SecureCrypto {
     }
 
     /**
-     * Decrypt a message using AES-GCM
+     * Decrypt a message envelope using the room key or the message key at
+     * its counter in the chain its key ID names. Returns the plaintext and,
+     * for sender keys, the peer who owns the key; returns null for cover
+     * traffic.
      */
-    async decryptMessage(encryptedB64) {
-        if (!this.encryptionKey) {
+    async decryptMessage(envelope, { roomId }) {
+        if (envelope.v !== ENVELOPE_VERSION) {
+            throw new Error(`Unsupported envelope version: ${envelope.v}`);
+        }
+        if (envelope.roomId !== roomId) {
+            throw new Error('Envelope does not belong to this room');
+        }
+
+        const streamId = `${envelope.scheme}:${envelope.keyId}`;
+        if (this.isReplay(streamId, envelope.counter)) {
+            throw new Error('Replayed message');
+        }
+
+        let key = this.roomKey;
+        let commit = () => {};
+        let peerId = null;
+
+        if (envelope.scheme !== 'room') {
+            const owner = this.senderKeyIds.get(envelope.keyId);
+            const epochs = owner && this.peerSenderKeys.get(owner.peerId);
+            const chain = epochs && epochs.get(owner.epoch);
+            if (!chain) {
+                throw new Error('Encryption key not established');
+            }
+            peerId = owner.peerId;
+            ({ key, commit } = await this.getReceivingKey(chain, envelope.counter));
+        } else if (envelope.keyId === this.roomKeyId) {
+            // Our own room key stream echoed back to us
+            throw new Error('Replayed message');
+        }
+        if (!key) {
             throw new Error('Encryption key not established');
         }
 
         try {
-            // Convert from base64
-            const encryptedData = new Uint8Array(
-                atob(encryptedB64).split('').map(char => char.charCodeAt(0))
+            const decrypted = await this.decryptWithKey(
+                key,
+                envelope.ciphertext,
+                SecureCrypto.getEnvelopeAad(envelope)
             );
+            commit();
+            this.recordCounter(streamId, envelope.counter);
 
-            // Extract IV and encrypted content
-            const iv = encryptedData.slice(0, 12);
-            const encrypted = encryptedData.slice(12);
-
-            // Decrypt the data
-            const decrypted = await window.crypto.subtle.decrypt(
-                {
-                    name: "AES-GCM",
-                    iv: iv
-                },
-                this.encryptionKey,
-                encrypted
-            );
+            const { body, cover } = SecureCrypto.unpadPlaintext(new Uint8Array(decrypted));
+            if (cover) {
+                return null;
+            }
 
             // Convert back to string
             const decoder = new TextDecoder();
-            return decoder.decode(decrypted);
+            return { plaintext: decoder.decode(body), peerId };
         } catch (error) {
             console.error('❌ Failed to decrypt message:', error);
             throw new Error('Failed to decrypt message');
         }
     }
 
+    /**
+     * Pad plaintext bytes up to the smallest bucket that holds them
+     */
+    static padPlaintext(bytes, cover = false) {
+        const needed = PADDING_HEADER_BYTES + bytes.length;
+        const largest = PADDING_BUCKETS[PADDING_BUCKETS.length - 1];
+        const size = PADDING_BUCKETS.find(bucket => bucket >= needed) ||
+            Math.ceil(needed / largest) * largest;
+
+        const padded = new Uint8Array(size);
+        padded[0] = cover ? PADDING_FLAG_COVER : 0;
+        new DataView(padded.buffer).setUint32(1, bytes.length);
+        padded.set(bytes, PADDING_HEADER_BYTES);
+        return padded;
+    }
+
+    /**
+     * Strip the padding added by padPlaintext
+     */
+    static unpadPlaintext(padded) {
+        if (padded.length < PADDING_HEADER_BYTES) {
+            throw new Error('Invalid padded plaintext');
+        }
+        const length = new DataView(padded.buffer, padded.byteOffset).getUint32(1);
+        if (PADDING_HEADER_BYTES + length > padded.length) {
+            throw new Error('Invalid padded plaintext');
+        }
+        return {
+            body: padded.subarray(PADDING_HEADER_BYTES, PADDING_HEADER_BYTES + length),
+            cover: (padded[0] & PADDING_FLAG_COVER) !== 0
+        };
+    }
+
+    /**
+     * Encode the authenticated envelope header as AES-GCM additional data
+     */
+    static getEnvelopeAad(header) {
+        const encoder = new TextEncoder();
+        return encoder.encode(JSON.stringify([
+            header.v,
+            header.scheme,
+            header.keyId,
+            header.counter,
+            header.roomId
+        ]));
+    }
+
+    /**
+     * Check whether a counter was already seen (or is too old to tell)
+     */
+    isReplay(streamId, counter) {
+        const stream = this.seenCounters.get(streamId);
+        if (!Number.isInteger(counter) || counter < 0) {
+            return true;
+        }
+        if (!stream) {
+            return false;
+        }
+        return counter <= stream.highest - REPLAY_WINDOW || stream.seen.has(counter);
+    }
+
+    /**
+     * Remember a counter once its message has been authenticated
+     */
+    recordCounter(streamId, counter) {
+        let stream = this.seenCounters.get(streamId);
+        if (!stream) {
+            stream = { highest: -1, seen: new Set() };
+            this.seenCounters.set(streamId, stream);
+        }
+
+        stream.seen.add(counter);
+        if (counter > stream.highest) {
+            stream.highest = counter;
+            for (const seenCounter of stream.seen) {
+                if (seenCounter <= stream.highest - REPLAY_WINDOW) {
+                    stream.seen.delete(seenCounter);
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate a fresh AES-GCM key for a single file attachment
+     */
+    async generateFileKey() {
+        return webcrypto.subtle.generateKey(
+            {
+                name: "AES-GCM",
+                length: 256
+            },
+            true, // extractable, so it can be sent inside the chat message
+            ["encrypt", "decrypt"]
+        );
+    }
+
+    /**
+     * Export a file key as base64
+     */
+    async exportFileKey(fileKey) {
+        const exported = await webcrypto.subtle.exportKey("raw", fileKey);
+        return SecureCrypto.bytesToBase64(new Uint8Array(exported));
+    }
+
+    /**
+     * Import a file key received in a chat message
+     */
+    async importFileKey(fileKeyB64) {
+        return webcrypto.subtle.importKey(
+            "raw",
+            SecureCrypto.base64ToBytes(fileKeyB64),
+            { name: "AES-GCM" },
+            false, // not extractable
+            ["decrypt"]
+        );
+    }
+
+    /**
+     * Encrypt one chunk of a file. The file ID and chunk position are
+     * authenticated so chunks cannot be reordered or moved between files.
+     */
+    async encryptFileChunk(fileKey, bytes, position) {
+        return this.encryptWithKey(fileKey, bytes, SecureCrypto.getFileChunkAad(position));
+    }
+
+    /**
+     * Decrypt one chunk of a file
+     */
+    async decryptFileChunk(fileKey, encryptedB64, position) {
+        const decrypted = await this.decryptWithKey(
+            fileKey,
+            encryptedB64,
+            SecureCrypto.getFileChunkAad(position)
+        );
+        return new Uint8Array(decrypted);
+    }
+
+    /**
+     * Encode a chunk's file ID, index and chunk count as AES-GCM additional data
+     */
+    static getFileChunkAad({ fileId, index, total }) {
+        const encoder = new TextEncoder();
+        return encoder.encode(JSON.stringify([fileId, index, total]));
+    }
+
+    /**
+     * Encrypt bytes with an AES-GCM key, returning base64(IV || ciphertext)
+     */
+    async encryptWithKey(key, data, additionalData = null) {
+        // Generate random IV
+        const iv = webcrypto.getRandomValues(new Uint8Array(12));
+
+        // Encrypt the data, authenticating any additional data alongside it
+        const params = {
+            name: "AES-GCM",
+            iv: iv
+        };
+        if (additionalData) {
+            params.additionalData = additionalData;
+        }
+        const encrypted = await webcrypto.subtle.encrypt(params, key, data);
+
+        // Combine IV and encrypted data
+        const result = new Uint8Array(iv.length + encrypted.byteLength);
+        result.set(iv);
+        result.set(new Uint8Array(encrypted), iv.length);
+
+        // Convert to base64 for transmission
+        return SecureCrypto.bytesToBase64(result);
+    }
+
+    /**
+     * Decrypt base64(IV || ciphertext) with an AES-GCM key
+     */
+    async decryptWithKey(key, encryptedB64, additionalData = null) {
+        // Convert from base64
+        const encryptedData = SecureCrypto.base64ToBytes(encryptedB64);
+
+        // Extract IV and encrypted content
+        const iv = encryptedData.slice(0, 12);
+        const encrypted = encryptedData.slice(12);
+
+        // Decrypt the data
+        const params = {
+            name: "AES-GCM",
+            iv: iv
+        };
+        if (additionalData) {
+            params.additionalData = additionalData;
+        }
+        return webcrypto.subtle.decrypt(params, key, encrypted);
+    }
+
+    /**
+     * Encode bytes as base64 in chunks, so large payloads do not overflow
+     * the argument limit of String.fromCharCode
+     */
+    static bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 produced by bytesToBase64
+     */
+    static base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode bytes as lowercase hex
+     */
+    static bytesToHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
     /**
      * Generate a secure room ID
      */
     static generateRoomId() {
-        const bytes = window.crypto.getRandomValues(new Uint8Array(6));
+        const bytes = webcrypto.getRandomValues(new Uint8Array(6));
         return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
     }
 
@@ -196,7 +1168,7 @@ class SecureCrypto {
      * Generate a secure session token
      */
     static generateSessionToken() {
-        const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+        const bytes = webcrypto.getRandomValues(new Uint8Array(16));
         return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
     }
 
@@ -206,17 +1178,42 @@ class SecureCrypto {
     static async hashString(input) {
         const encoder = new TextEncoder();
         const data = encoder.encode(input);
-        const hash = await window.crypto.subtle.digest('SHA-256', data);
+        const hash = await webcrypto.subtle.digest('SHA-256', data);
         return Array.from(new Uint8Array(hash), byte => 
             byte.toString(16).padStart(2, '0')
         ).join('');
     }
 
+    /**
+     * Compute the fingerprint of the keys two participants hold: each side's
+     * ECDH public key and ECDSA signing key, given as { publicKey, signingKey }.
+     * Covering the signing keys means the server cannot swap one unnoticed.
+     * Sides are sorted first so both compute the same value.
+     */
+    static async computeFingerprint(keysA, keysB) {
+        const [first, second] = [keysA, keysB]
+            .map(keys => `${keys.publicKey}:${keys.signingKey}`)
+            .sort();
+        return SecureCrypto.hashString(`${first}:${second}`);
+    }
+
+    /**
+     * Format a fingerprint as a numeric safety number (12 groups of 5 digits)
+     */
+    static formatSafetyNumber(fingerprint) {
+        const groups = [];
+        for (let i = 0; i < 12; i++) {
+            const chunk = parseInt(fingerprint.substr(i * 5, 5), 16);
+            groups.push((chunk % 100000).toString().padStart(5, '0'));
+        }
+        return groups;
+    }
+
     /**
      * Validate that Web Crypto API is supported
      */
     static isSupported() {
-        return !!(window.crypto && window.crypto.subtle);
+        return !!(webcrypto && webcrypto.subtle);
     }
 
     /**
@@ -227,8 +1224,12 @@ class SecureCrypto {
             isSupported: SecureCrypto.isSupported(),
             isReady: this.isReady,
             hasKeyPair: !!this.keyPair,
-            hasSharedSecret: !!this.sharedSecret,
-            canEncrypt: !!this.encryptionKey
+            hasSigningKey: !!this.signingKeyPair,
+            pairwiseKeyCount: this.pairwiseKeys.size,
+            senderKeyEpoch: this.senderKeyEpoch,
+            peerSenderKeyCount: this.peerSenderKeys.size,
+            hasRoomKey: !!this.roomKey,
+            canEncrypt: this.canEncrypt()
         };
     }
 
@@ -237,12 +1238,26 @@ class SecureCrypto {
      */
     cleanup() {
         this.keyPair = null;
-        this.sharedSecret = null;
-        this.encryptionKey = null;
+        this.signingKeyPair = null;
+        this.peerSigningKeys.clear();
+        this.pairwiseKeys.clear();
+        this.sendingChain = null;
+        this.senderKeyEpoch = 0;
+        this.senderKeyRecipients.clear();
+        this.peerSenderKeys.clear();
+        this.senderKeyIds.clear();
+        this.roomKey = null;
+        this.roomKeyId = null;
+        this.roomKeyInfo = null;
         this.isReady = false;
         console.log('🧹 Crypto data cleaned up');
     }
 }
 
 // Export for use in other modules
-window.SecureCrypto = SecureCrypto;
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SecureCrypto };
+}
+if (typeof window !== 'undefined') {
+    window.SecureCrypto = SecureCrypto;
+}
\ No newline at end of file
@@ -0,0 +1,14 @@
+/**
+ * ES module entry point for the SecureChat Cryptography Module
+ * Wraps the shared implementation in crypto.js, which loads as CommonJS in
+ * Node and as a script that sets the SecureCrypto global in browsers
+ */
+let SecureCrypto = globalThis.SecureCrypto;
+
+if (!SecureCrypto) {
+    const loaded = await import('./crypto.js');
+    SecureCrypto = loaded.default ? loaded.default.SecureCrypto : globalThis.SecureCrypto;
+}
+
+export { SecureCrypto };
+export default SecureCrypto;
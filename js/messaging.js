@@ -1,6 +1,42 @@
 /**
  * SecureChat Messaging Module with WebSocket support
  */
+
+// Random delay between cover messages in rooms with cover traffic enabled
+const COVER_TRAFFIC_MIN_DELAY = 10000;
+const COVER_TRAFFIC_MAX_DELAY = 40000;
+
+// Attachments are sent in encrypted chunks, a few at a time until acknowledged
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const FILE_CHUNK_SIZE = 64 * 1024;
+const FILE_CHUNK_WINDOW = 4;
+
+// Our own heartbeat: ping the server this often and give up on it if no
+// pong arrives in time
+const HEARTBEAT_INTERVAL = 20000;
+const HEARTBEAT_TIMEOUT = 10000;
+
+// A sent message counts as failed if the server has not acknowledged it by then
+const MESSAGE_ACK_TIMEOUT = 10000;
+
+// How long a resumed session waits for peers to take our sender key again
+// before resending queued messages
+const KEY_EXCHANGE_TIMEOUT = 5000;
+
+// A member shares at most this much recent history with a newcomer, who
+// waits this long for an answer before asking someone else
+const HISTORY_SYNC_LIMIT = 50;
+// The server takes up to 96 KB of base64 per history payload; that holds
+// this many bytes of JSON once the AES-GCM IV and tag are added
+const HISTORY_SYNC_MAX_PAYLOAD = 96 * 1024;
+const HISTORY_SYNC_MAX_BYTES = HISTORY_SYNC_MAX_PAYLOAD / 4 * 3 - 12 - 16;
+const HISTORY_SYNC_TIMEOUT = 5000;
+
+// After losing the connection, retry with jittered exponential backoff
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+
 class SecureMessaging {
     constructor(crypto, storage) {
         this.crypto = crypto;
@@ -12,6 +48,25 @@ class SecureMessaging {
         this.connectionStatus = 'disconnected';
         this.presenceInterval = null;
         this.roomRefreshInterval = null;
+        this.processingQueue = Promise.resolve();
+        this.roomSettings = {};
+        this.coverTrafficTimer = null;
+        this.outgoingFiles = new Map(); // fileId -> { inFlight, resume, error }
+        this.incomingFiles = new Map(); // fileId -> chunks received so far
+        this.moderation = { owner: null, locked: false, muted: new Set() };
+        this.invites = new Map(); // token -> { maxUses, uses, expiresAt } for invites we minted
+        this.joinRequests = new Map(); // requestId -> { username, timestamp } waiting on us
+        this.pendingJoin = null; // roomId we are waiting to be let into
+        this.heartbeatTimer = null;
+        this.heartbeatTimeout = null;
+        this.resumeToken = null; // lets us back into the current room after a drop
+        this.rejoinToken = null; // lets a restored session back into the current room
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.ackTimers = new Map(); // clientId -> timeout waiting on message_ack
+        this.heldMessages = new Set(); // clientIds waiting for someone to hold our sender key
+        this.serverUrl = SecureMessaging.resolveServerUrl(location, window.SECURECHAT_CONFIG);
+        this.historySync = null; // { asked, timer } while we wait for a member to share history
     }
 
     /**
@@ -20,17 +75,19 @@ class SecureMessaging {
     async connect() {
         return new Promise((resolve, reject) => {
             try {
-                console.log('🔗 Connecting to WebSocket server...');
-                this.ws = new WebSocket('ws://localhost:3000');
+                console.log(`🔗 Connecting to WebSocket server at ${this.serverUrl}...`);
+                this.ws = new WebSocket(this.serverUrl);
                 
                 const connectionTimeout = setTimeout(() => {
                     reject(new Error('Connection timeout - server may be unavailable'));
                 }, 5000);
                 
+                const ws = this.ws;
                 this.ws.onopen = () => {
                     clearTimeout(connectionTimeout);
                     console.log('✅ Connected to WebSocket server');
                     this.connectionStatus = 'connected';
+                    this.startHeartbeat();
                     resolve();
                 };
                 
@@ -53,7 +110,9 @@ class SecureMessaging {
                 this.ws.onclose = () => {
                     clearTimeout(connectionTimeout);
                     console.log('📵 WebSocket disconnected');
-                    this.connectionStatus = 'disconnected';
+                    if (this.ws === ws) {
+                        this.handleConnectionLost('closed');
+                    }
                 };
                 
             } catch (error) {
@@ -66,7 +125,7 @@ class SecureMessaging {
     /**
      * Create a new chat room
      */
-    async createRoom(roomName, username, autoDeleteMinutes = 30) {
+    async createRoom(roomName, username, autoDeleteMinutes = 30, passphrase = '', settings = {}) {
         try {
             const roomId = SecureCrypto.generateRoomId();
             console.log(`🏗️ Creating room ${roomId}`);
@@ -77,6 +136,12 @@ class SecureMessaging {
             }
 
             const userPublicKey = await this.crypto.exportPublicKey();
+            const signingKey = await this.crypto.exportSigningKey();
+
+            // Derive the room key if the room is passphrase-protected
+            const verifier = passphrase ?
+                await this.crypto.setRoomPassphrase(passphrase, roomId) :
+                null;
 
             // Create room data
             const roomData = {
@@ -84,6 +149,8 @@ class SecureMessaging {
                 name: roomName || `Room ${roomId}`,
                 creator: username,
                 autoDeleteMinutes,
+                passphraseProtected: !!passphrase,
+                settings,
                 participants: [],
                 messages: [],
                 createdAt: Date.now()
@@ -117,8 +184,18 @@ class SecureMessaging {
             this.sendToServer({
                 type: 'create_room',
                 roomId: roomId,
-                username: username
+                username: username,
+                autoDeleteMinutes: autoDeleteMinutes,
+                signingKey: signingKey,
+                verifier: verifier,
+                settings: settings
             });
+            this.applyRoomSettings(settings);
+            this.moderation = { owner: username, locked: false, muted: new Set() };
+
+            if (passphrase) {
+                this.emit('encryption_ready', { ready: true, scheme: 'room' });
+            }
 
             console.log(`✅ Room ${roomId} created successfully`);
             return { roomId, roomData };
@@ -131,19 +208,32 @@ class SecureMessaging {
     /**
      * Join a chat room - FIXED: Update online status and start sync
      */
-    async joinRoom(roomId, username, userPublicKey = null) {
+    async joinRoom(roomId, username, userPublicKey = null, passphrase = '', invite = '') {
         try {
             console.log(`🚪 Attempting to join room ${roomId} as ${username}`);
 
+            if (!this.crypto.isReady) {
+                await this.crypto.initialize();
+            }
+            const signingKey = await this.crypto.exportSigningKey();
+
+            // Prove knowledge of the room passphrase without revealing the key,
+            // reusing the room key if it was restored from a session backup
+            const verifier = passphrase ?
+                await this.crypto.setRoomPassphrase(passphrase, roomId) :
+                this.crypto.getRoomVerifier(roomId);
+
             // Connect to WebSocket if not connected
             if (!this.ws || this.connectionStatus !== 'connected') {
                 await this.connect();
             }
 
+            const ws = this.ws;
+            const resuming = roomId === this.currentRoom;
             return new Promise((resolve, reject) => {
                 // Set up timeout for the join request
                 const timeout = setTimeout(() => {
-                    this.ws.removeEventListener('message', handleResponse);
+                    stopListening();
                     reject(new Error('Join request timed out - server may be unavailable'));
                 }, 10000); // 10 second timeout
 
@@ -154,11 +244,14 @@ class SecureMessaging {
                         
                         if (data.type === 'join_success' && data.roomId === roomId) {
                             clearTimeout(timeout);
-                            this.ws.removeEventListener('message', handleResponse);
+                            stopListening();
                             
                             // Successfully joined - set up local data
+                            this.pendingJoin = null;
                             this.currentRoom = roomId;
                             this.currentUser = username;
+                            this.resumeToken = data.resumeToken || null;
+                            this.rejoinToken = data.rejoinToken || null;
 
                             // Create or get room data
                             let roomData = this.storage.getRoomData(roomId);
@@ -171,8 +264,13 @@ class SecureMessaging {
                                     messages: [],
                                     createdAt: Date.now()
                                 };
-                                this.storage.setRoomData(roomId, roomData);
                             }
+                            roomData.settings = data.settings || {};
+                            // Follow the server's expiry, measured against its own clock
+                            if (data.expiresAt) {
+                                roomData.expiresAt = Date.now() + (data.expiresAt - data.timestamp);
+                            }
+                            this.storage.setRoomData(roomId, roomData);
 
                             // Add user to participants
                             const participant = {
@@ -187,18 +285,68 @@ class SecureMessaging {
                             // Start presence updates and room refreshing
                             this.startPresenceUpdates();
                             this.startRoomRefreshing();
+
+                            this.moderation = {
+                                owner: data.owner || null,
+                                locked: !!data.locked,
+                                muted: new Set((data.participants || [])
+                                    .filter(peer => peer.muted)
+                                    .map(peer => peer.username))
+                            };
+                            if (data.muted) {
+                                this.moderation.muted.add(username);
+                            }
+
+                            // Learn the signing keys of everyone already in the room
+                            (data.participants || []).forEach(peer => {
+                                this.enqueue(() => this.importPeerSigningKey(peer.username, peer.signingKey));
+                            });
+
+                            // Offer our public key to everyone already in the room
+                            this.startKeyExchange(userPublicKey);
+                            this.applyRoomSettings(data.settings);
+
+                            // Ask members for what was said before we arrived, unless the room opted out
+                            this.stopHistorySync();
+                            if (this.roomSettings.historySync !== false) {
+                                this.historySync = { asked: new Set(), timer: null };
+                            }
+
+                            if (verifier) {
+                                this.emit('encryption_ready', { ready: true, scheme: 'room' });
+                            }
                             
+                            // Reconnecting flushes the outbox itself
+                            if (!resuming) {
+                                this.resendOutbox(roomId, (data.participants || []).map(peer => peer.username));
+                            }
+
                             console.log(`✅ Successfully joined room ${roomId}`);
                             resolve(true);
                             
+                        } else if (data.type === 'join_pending' && data.roomId === roomId) {
+                            // The owner may take a while; wait as long as the request stands
+                            clearTimeout(timeout);
+                            this.pendingJoin = roomId;
+                            this.emit('join_pending', data);
+
+                        } else if (data.type === 'rate_limited' && data.requestType === 'join_room') {
+                            clearTimeout(timeout);
+                            stopListening();
+                            this.crypto.clearRoomKey();
+                            reject(new Error(`Too many join attempts - try again in ${Math.ceil(data.retryAfter / 1000)} seconds`));
+
                         } else if (data.type === 'join_error' && data.roomId === roomId) {
                             clearTimeout(timeout);
-                            this.ws.removeEventListener('message', handleResponse);
+                            stopListening();
+                            this.pendingJoin = null;
+                            // Never keep a room key the server just turned down
+                            this.crypto.clearRoomKey();
                             reject(new Error(data.message));
                             
                         } else if (data.type === 'error' && data.message === 'Room not found') {
                             clearTimeout(timeout);
-                            this.ws.removeEventListener('message', handleResponse);
+                            stopListening();
                             reject(new Error('Room not found'));
                         }
                     } catch (error) {
@@ -206,14 +354,34 @@ class SecureMessaging {
                     }
                 };
 
+                // A dropped connection ends the wait, even while knocking
+                const handleClose = () => {
+                    clearTimeout(timeout);
+                    stopListening();
+                    this.pendingJoin = null;
+                    reject(new Error('Lost connection to the server'));
+                };
+
+                const stopListening = () => {
+                    ws.removeEventListener('message', handleResponse);
+                    ws.removeEventListener('close', handleClose);
+                };
+
                 // Listen for server responses
-                this.ws.addEventListener('message', handleResponse);
+                ws.addEventListener('message', handleResponse);
+                ws.addEventListener('close', handleClose);
 
                 // Send join request to server
                 this.sendToServer({
                     type: 'join_room',
                     roomId: roomId,
-                    username: username
+                    username: username,
+                    signingKey: signingKey,
+                    verifier: verifier,
+                    invite: invite,
+                    // Rejoining the room we dropped out of keeps our place in it
+                    resumeToken: resuming ? this.resumeToken : null,
+                    rejoinToken: this.rejoinToken
                 });
 
             });
@@ -226,273 +394,1669 @@ class SecureMessaging {
     }
 
     /**
-     * Start presence updates for cross-browser sync - NEW METHOD
+     * Start the ECDH handshake by offering our public key to the room
      */
-    startPresenceUpdates() {
-        this.stopPresenceUpdates();
-        
-        // Update online status every 10 seconds
-        this.presenceInterval = setInterval(() => {
-            if (this.currentRoom && this.currentUser) {
-                this.storage.updateParticipantOnlineStatus(
-                    this.currentRoom, 
-                    this.currentUser, 
-                    true
-                );
-            }
-        }, 10000);
-    }
+    startKeyExchange(publicKey) {
+        if (!publicKey) {
+            console.warn('⚠️ No public key available - skipping key exchange');
+            return;
+        }
 
-    /**
-     * Start room data refreshing - NEW METHOD
-     */
-    startRoomRefreshing() {
-        this.stopRoomRefreshing();
-        
-        // Refresh room data every 5 seconds to get updates from other browsers
-        this.roomRefreshInterval = setInterval(() => {
-            if (this.currentRoom) {
-                this.refreshRoomData();
-            }
-        }, 5000);
+        this.sendToServer({
+            type: 'key_offer',
+            roomId: this.currentRoom,
+            publicKey: publicKey
+        });
     }
 
     /**
-     * Stop presence updates
+     * Handle a key offer from a participant who just joined
      */
-    stopPresenceUpdates() {
-        if (this.presenceInterval) {
-            clearInterval(this.presenceInterval);
-            this.presenceInterval = null;
+    async handleKeyOffer(data) {
+        if (data.roomId !== this.currentRoom || data.from === this.currentUser) {
+            return;
         }
+
+        await this.crypto.deriveSharedKey(data.publicKey, data.from);
+        this.recordPeerPublicKey(data.from, data.publicKey);
+
+        // Answer with our own public key so the peer can derive the same secret
+        this.sendToServer({
+            type: 'key_answer',
+            roomId: this.currentRoom,
+            to: data.from,
+            publicKey: await this.crypto.exportPublicKey()
+        });
+
+        console.log(`🤝 Answered key offer from ${data.from}`);
+        await this.sendSenderKey(data.from);
     }
 
     /**
-     * Stop room refreshing
+     * Handle the answer to our key offer
      */
-    stopRoomRefreshing() {
-        if (this.roomRefreshInterval) {
-            clearInterval(this.roomRefreshInterval);
-            this.roomRefreshInterval = null;
+    async handleKeyAnswer(data) {
+        if (data.roomId !== this.currentRoom) {
+            return;
         }
+
+        await this.crypto.deriveSharedKey(data.publicKey, data.from);
+        this.recordPeerPublicKey(data.from, data.publicKey);
+
+        console.log(`🤝 Key exchange completed with ${data.from}`);
+        await this.sendSenderKey(data.from);
+        this.emit('key_exchanged', { peer: data.from });
+        this.requestHistory();
     }
 
     /**
-     * Refresh room data from localStorage - NEW METHOD
+     * Resolve once each of the given peers has answered our key offer, or
+     * after a timeout for any that have gone
      */
-    refreshRoomData() {
-        if (!this.currentRoom) return;
-        
-        try {
-            const stored = localStorage.getItem(`securechat_room_${this.currentRoom}`);
-            if (stored) {
-                const sharedData = JSON.parse(stored);
-                const currentData = this.storage.getRoomData(this.currentRoom);
-                
-                if (currentData && sharedData) {
-                    let participantsUpdated = false;
-                    
-                    // Merge participant information
-                    if (sharedData.participants) {
-                        // Update our local participant data with shared online status
-                        sharedData.participants.forEach(sharedParticipant => {
-                            const localParticipant = currentData.participants?.find(
-                                p => p.username === sharedParticipant.username
-                            );
-                            
-                            if (localParticipant) {
-                                // Update online status from shared data if it's more recent
-                                if (sharedParticipant.lastSeen > localParticipant.lastSeen) {
-                                    localParticipant.isOnline = sharedParticipant.isOnline;
-                                    localParticipant.lastSeen = sharedParticipant.lastSeen;
-                                    participantsUpdated = true;
-                                }
-                            } else {
-                                // Add new participant from shared data
-                                if (!currentData.participants) {
-                                    currentData.participants = [];
-                                }
-                                currentData.participants.push({
-                                    ...sharedParticipant,
-                                    publicKey: null // Don't sync public keys
-                                });
-                                participantsUpdated = true;
-                            }
-                        });
-                        
-                        // Remove participants that are no longer in shared data
-                        if (currentData.participants) {
-                            const sharedUsernames = new Set(sharedData.participants.map(p => p.username));
-                            const originalLength = currentData.participants.length;
-                            currentData.participants = currentData.participants.filter(p => 
-                                sharedUsernames.has(p.username) || p.username === this.currentUser
-                            );
-                            if (currentData.participants.length !== originalLength) {
-                                participantsUpdated = true;
-                            }
-                        }
-                    }
-                    
-                    // Update expiration time to be consistent
-                    if (sharedData.expiresAt && sharedData.expiresAt !== currentData.expiresAt) {
-                        currentData.expiresAt = sharedData.expiresAt;
-                    }
-                    
-                    // Notify UI if participants were updated
-                    if (participantsUpdated) {
-                        this.emit('participants_updated');
-                    }
+    waitForKeyExchange(peers) {
+        const waiting = new Set(peers);
+        return new Promise(resolve => {
+            const finish = () => {
+                clearTimeout(timer);
+                this.off('key_exchanged', handleExchanged);
+                resolve();
+            };
+            const handleExchanged = ({ peer }) => {
+                waiting.delete(peer);
+                if (waiting.size === 0) {
+                    finish();
                 }
+            };
+            const timer = setTimeout(finish, KEY_EXCHANGE_TIMEOUT);
+
+            if (waiting.size === 0) {
+                finish();
+            } else {
+                this.on('key_exchanged', handleExchanged);
             }
-        } catch (error) {
-            console.warn('⚠️ Error refreshing room data:', error);
-        }
+        });
     }
 
     /**
-     * Handle incoming messages from server
+     * Send our sender key to a peer, wrapped with our pairwise secret
      */
-    handleIncomingMessage(messageData) {
-        console.log('🔄 Processing message:', messageData.type);
-        
-        switch (messageData.type) {
-            case 'chat_message':
-                // This is a chat message from another user
-                if (messageData.message && messageData.roomId === this.currentRoom) {
-                    // Store the message locally
-                    const storedMessage = this.storage.addMessage(this.currentRoom, messageData.message);
-                    // Notify UI to display the message
-                    this.emit('new_message', storedMessage);
-                }
-                break;
-                
-            case 'user_joined':
-                if (messageData.roomId === this.currentRoom && messageData.username !== this.currentUser) {
-                    this.emit('user_joined', messageData);
-                    this.emit('system_message', {
-                        content: `${messageData.username} joined the chat`,
-                        timestamp: Date.now()
-                    });
-                }
-                break;
-                
-            case 'user_left':
-                if (messageData.roomId === this.currentRoom) {
-                    this.emit('user_left', messageData);
-                    this.emit('system_message', {
-                        content: `A user left the chat`,
-                        timestamp: Date.now()
-                    });
-                }
-                break;
-                
-            case 'error':
-                if (messageData.roomId === this.currentRoom) {
-                    this.emit('error', messageData);
-                    throw new Error(messageData.message);
-                }
-                break;
-        }
+    async sendSenderKey(peer) {
+        const { epoch, key } = await this.crypto.exportSenderKeyFor(peer);
+        this.sendToServer({
+            type: 'sender_key',
+            roomId: this.currentRoom,
+            to: peer,
+            epoch: epoch,
+            key: key
+        });
+        this.releaseHeldMessages();
     }
 
     /**
-     * Send an encrypted message
+     * Replace our sender key and hand the new one to every remaining peer
      */
-    async sendMessage(content) {
-        if (!this.currentRoom || !this.currentUser) {
-            throw new Error('Not connected to a room');
+    async rotateSenderKey(reason) {
+        const epoch = await this.crypto.generateSenderKey();
+
+        for (const peer of this.crypto.getSecurePeers()) {
+            await this.sendSenderKey(peer);
         }
 
-        if (!content || content.trim().length === 0) {
-            throw new Error('Message content cannot be empty');
+        console.log(`🔄 Sender key rotated to epoch ${epoch} (${reason})`);
+        this.emit('keys_rotated', { epoch, reason });
+    }
+
+    /**
+     * Handle a sender key distributed to us by a peer
+     */
+    async handleSenderKey(data) {
+        if (data.roomId !== this.currentRoom) {
+            return;
         }
 
-        try {
-            let encryptedContent = content;
-            
-            // Encrypt message if encryption is available
-            if (this.crypto.encryptionKey) {
-                encryptedContent = await this.crypto.encryptMessage(content);
-            }
+        await this.crypto.importSenderKey(data.from, data.key, data.epoch);
+        this.emit('encryption_ready', { ready: true, peer: data.from });
+    }
 
-            const message = {
-                type: 'message',
-                content: encryptedContent,
-                author: this.currentUser,
-                timestamp: Date.now(),
-                encrypted: !!this.crypto.encryptionKey
-            };
+    /**
+     * Import the signing key a peer published when joining
+     */
+    async importPeerSigningKey(username, signingKey) {
+        if (!signingKey) {
+            console.warn(`⚠️ ${username} did not publish a signing key`);
+            return;
+        }
+        await this.crypto.importPeerSigningKey(username, signingKey);
 
-            // Create the data to send to server
-            const messageData = {
-                type: 'chat_message',
-                roomId: this.currentRoom,
-                message: message
-            };
+        // The safety number covers signing keys too, so a new one needs re-verification
+        const verification = this.storage.getPeerVerification(this.currentRoom, username);
+        if (verification && verification.signingKey !== signingKey) {
+            this.storage.clearPeerVerification(this.currentRoom, username);
+            console.warn(`⚠️ Signing key of verified peer ${username} changed`);
+            this.emit('peer_key_changed', { username });
+        }
 
-            // Store message locally first (for immediate display)
-            const storedMessage = this.storage.addMessage(this.currentRoom, message);
-            
-            // Display our own message immediately
-            this.emit('new_message', storedMessage);
+        this.storage.addParticipant(this.currentRoom, { username, signingKey });
+        this.emit('participants_updated');
+    }
+
+    /**
+     * Build the canonical string covered by a message signature
+     */
+    getSignedData(roomId, message) {
+        return JSON.stringify([roomId, message.author, message.timestamp, message.type, message.content, message.clientId || null]);
+    }
 
-            // Send to server to broadcast to others
-            this.sendToServer(messageData);
+    /**
+     * Check an incoming message's signature against its claimed author
+     */
+    async verifyIncoming(roomId, message) {
+        const verified = await this.crypto.verifyPayload(
+            message.author,
+            this.getSignedData(roomId, message),
+            message.signature
+        );
 
-            console.log('📤 Message sent and stored locally');
-            return storedMessage;
-        } catch (error) {
-            console.error('❌ Failed to send message:', error);
-            throw error;
+        if (!verified) {
+            console.warn(`⚠️ Could not verify message claiming to be from ${message.author}`);
         }
+        return verified;
     }
 
     /**
-     * Send data to WebSocket server
+     * Remember a peer's public key in the participant list
      */
-    sendToServer(data) {
-        if (this.ws && this.connectionStatus === 'connected') {
-            this.ws.send(JSON.stringify(data));
-            console.log('📤 Sent to server:', data.type);
-        } else {
-            console.error('❌ Cannot send - WebSocket not connected');
-            throw new Error('Not connected to server');
+    recordPeerPublicKey(username, publicKey) {
+        // A verified peer showing up with a different key needs re-verification
+        const verification = this.storage.getPeerVerification(this.currentRoom, username);
+        if (verification && verification.publicKey !== publicKey) {
+            this.storage.clearPeerVerification(this.currentRoom, username);
+            console.warn(`⚠️ Public key of verified peer ${username} changed`);
+            this.emit('peer_key_changed', { username });
         }
+
+        this.storage.addParticipant(this.currentRoom, {
+            username,
+            publicKey,
+            isOnline: true,
+            lastSeen: Date.now()
+        });
+        this.emit('participants_updated');
     }
 
     /**
-     * Get room messages
+     * Get the safety number shared with a peer, or null before key exchange
      */
-    async getMessages(limit = 50) {
-        if (!this.currentRoom) {
-            return [];
+    async getSafetyNumber(username) {
+        const participant = this.getParticipants().find(p => p.username === username);
+        if (!participant || !participant.publicKey || !participant.signingKey) {
+            return null;
         }
 
-        const messages = this.storage.getMessages(this.currentRoom, limit);
-        
-        // Decrypt messages if possible
-        const decryptedMessages = await Promise.all(
-            messages.map(async (message) => {
-                if (message.encrypted && message.type === 'message' && this.crypto.encryptionKey) {
-                    try {
-                        const decryptedContent = await this.crypto.decryptMessage(message.content);
-                        return { ...message, content: decryptedContent, decrypted: true };
-                    } catch (error) {
-                        console.warn('⚠️ Failed to decrypt message:', error);
-                        return { ...message, content: '[Encrypted Message]', decrypted: false };
-                    }
-                }
-                return message;
-            })
+        const fingerprint = await SecureCrypto.computeFingerprint(
+            { publicKey: await this.crypto.exportPublicKey(), signingKey: await this.crypto.exportSigningKey() },
+            { publicKey: participant.publicKey, signingKey: participant.signingKey }
         );
 
-        return decryptedMessages;
+        return {
+            fingerprint,
+            safetyNumber: SecureCrypto.formatSafetyNumber(fingerprint),
+            verified: this.isPeerVerified(username)
+        };
     }
 
     /**
-     * Leave the current room - FIXED: Update online status and stop sync
+     * Check whether a peer's current public key has been verified
      */
-    async leaveRoom() {
+    isPeerVerified(username) {
+        const participant = this.getParticipants().find(p => p.username === username);
+        const verification = this.storage.getPeerVerification(this.currentRoom, username);
+        return !!(participant && verification &&
+            verification.publicKey === participant.publicKey &&
+            verification.signingKey === participant.signingKey);
+    }
+
+    /**
+     * Mark or unmark a peer's current public key as verified
+     */
+    setPeerVerified(username, verified) {
+        const participant = this.getParticipants().find(p => p.username === username);
+        if (!participant || !participant.publicKey || !participant.signingKey) {
+            throw new Error('Key exchange with this participant is not complete');
+        }
+
+        if (verified) {
+            this.storage.setPeerVerification(this.currentRoom, username, participant.publicKey, participant.signingKey);
+        } else {
+            this.storage.clearPeerVerification(this.currentRoom, username);
+        }
+        this.emit('participants_updated');
+    }
+
+    /**
+     * Run async message handling in arrival order, so a chat message is
+     * never decrypted before the key exchange that precedes it has finished
+     */
+    enqueue(task) {
+        this.processingQueue = this.processingQueue
+            .then(task)
+            .catch(error => console.error('❌ Failed to process message:', error));
+        return this.processingQueue;
+    }
+
+    /**
+     * Run an outgoing send in the same order, so it never encrypts while our
+     * sender key is being replaced or handed out. Unlike enqueue, the task's
+     * result or error goes back to the caller.
+     */
+    enqueueOutgoing(task) {
+        const result = this.processingQueue.then(task);
+        this.processingQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Decrypt an incoming message and recover its sealed author, checking the
+     * author's signature. Sender keys are rotated away, so messages are
+     * decrypted once on arrival and kept in memory as plaintext.
+     * Returns null for replayed messages and cover traffic, which are dropped.
+     * Attachment messages come back with the file key still in `attachment`.
+     */
+    async decryptIncoming(message) {
+        if (!message.encrypted || (message.type !== 'message' && message.type !== 'attachment')) {
+            return { ...message, verified: await this.verifyIncoming(this.currentRoom, message) };
+        }
+
+        const unreadable = {
+            type: message.type,
+            author: 'Unknown sender',
+            content: '[Encrypted Message]',
+            encrypted: true,
+            decrypted: false,
+            verified: false
+        };
+
+        let opened;
+        try {
+            opened = await this.crypto.decryptMessage(message.content, { roomId: this.currentRoom });
+        } catch (error) {
+            if (error.message === 'Replayed message') {
+                console.warn('⚠️ Dropped replayed message');
+                return null;
+            }
+            console.warn('⚠️ Failed to decrypt message:', error);
+            return unreadable;
+        }
+
+        // Cover traffic is dropped as soon as it is decrypted
+        if (!opened) {
+            return null;
+        }
+
+        try {
+            const sealed = JSON.parse(opened.plaintext);
+            const unsealed = {
+                type: message.type,
+                author: sealed.author,
+                timestamp: sealed.timestamp,
+                content: sealed.content,
+                signature: sealed.signature,
+                clientId: sealed.clientId || null,
+                encrypted: true,
+                decrypted: true
+            };
+
+            // A sender key's owner must also be the author who signed the message
+            const ownsKey = !opened.peerId || opened.peerId === unsealed.author;
+            unsealed.verified = ownsKey && await this.verifyIncoming(this.currentRoom, unsealed);
+
+            if (message.type === 'attachment') {
+                // Attachment messages carry a caption and the file's metadata and key
+                const payload = JSON.parse(unsealed.content);
+                return { ...unsealed, content: payload.text || '', attachment: payload.attachment };
+            }
+            return unsealed;
+        } catch (error) {
+            console.warn('⚠️ Failed to open sealed message:', error);
+            return unreadable;
+        }
+    }
+
+    /**
+     * Ask one member we have finished the key exchange with for recent
+     * history, moving on to another if they do not answer in time
+     */
+    requestHistory() {
+        const sync = this.historySync;
+        if (!sync || sync.timer) {
+            return;
+        }
+
+        const peer = this.crypto.getSecurePeers().find(candidate => !sync.asked.has(candidate));
+        if (!peer) {
+            return;
+        }
+
+        sync.asked.add(peer);
+        this.sendToServer({
+            type: 'history_request',
+            roomId: this.currentRoom,
+            to: peer
+        });
+        sync.timer = setTimeout(() => {
+            sync.timer = null;
+            if (this.historySync === sync) {
+                this.requestHistory();
+            }
+        }, HISTORY_SYNC_TIMEOUT);
+    }
+
+    stopHistorySync() {
+        if (this.historySync) {
+            clearTimeout(this.historySync.timer);
+            this.historySync = null;
+        }
+    }
+
+    /**
+     * Share our recent messages with a newcomer, encrypted for them alone.
+     * Each keeps its author's signature so the newcomer can check it.
+     */
+    async handleHistoryRequest(data) {
+        if (data.roomId !== this.currentRoom || this.roomSettings.historySync === false) {
+            return;
+        }
+
+        const items = [];
+        for (const message of this.storage.getMessages(this.currentRoom, HISTORY_SYNC_LIMIT)) {
+            // Only messages we could read, vouch for and actually delivered
+            if (message.type !== 'message' || message.verified === false || message.decrypted === false ||
+                message.status === 'pending' || message.status === 'failed') {
+                continue;
+            }
+
+            const item = {
+                author: message.author,
+                content: message.content,
+                timestamp: message.timestamp,
+                sentAt: message.sentAt || message.timestamp,
+                clientId: message.clientId || null,
+                serverId: message.serverId || null,
+                signature: message.signature || null
+            };
+            // Our own messages are signed afresh, since we never stored the signature
+            if (message.author === this.currentUser) {
+                item.signature = await this.crypto.signPayload(this.getSignedData(this.currentRoom, {
+                    ...item,
+                    type: 'message',
+                    timestamp: item.sentAt
+                }));
+            }
+            items.push(item);
+        }
+
+        // Drop the oldest until the encoded bytes fit in one frame
+        const encoder = new TextEncoder();
+        let payload = JSON.stringify(items);
+        while (items.length > 0 && encoder.encode(payload).length > HISTORY_SYNC_MAX_BYTES) {
+            items.shift();
+            payload = JSON.stringify(items);
+        }
+
+        this.sendToServer({
+            type: 'history_response',
+            roomId: this.currentRoom,
+            to: data.from,
+            payload: await this.crypto.encryptForPeer(data.from, payload, this.getHistoryContext(this.currentUser, data.from))
+        });
+        console.log(`📜 Shared ${items.length} message(s) with ${data.from}`);
+    }
+
+    /**
+     * Merge the history a member shared with us, checking every author's signature
+     */
+    async handleHistoryResponse(data) {
+        const sync = this.historySync;
+        if (data.roomId !== this.currentRoom || !sync || !sync.asked.has(data.from)) {
+            return;
+        }
+
+        let items;
+        try {
+            items = JSON.parse(await this.crypto.decryptFromPeer(
+                data.from,
+                data.payload,
+                this.getHistoryContext(data.from, this.currentUser)
+            ));
+            if (!Array.isArray(items)) {
+                throw new Error('History is not a list of messages');
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not read the history ${data.from} shared:`, error);
+            return;
+        }
+        this.stopHistorySync();
+
+        const history = [];
+        for (const item of items) {
+            const message = {
+                type: 'message',
+                author: String(item.author),
+                content: String(item.content),
+                timestamp: Number(item.timestamp) || Date.now(),
+                sentAt: item.sentAt,
+                clientId: item.clientId || null,
+                serverId: item.serverId || null,
+                signature: item.signature,
+                encrypted: true,
+                syncedFrom: data.from
+            };
+
+            // The sharer cannot put words in anyone else's mouth
+            try {
+                message.verified = await this.verifyIncoming(this.currentRoom, { ...message, timestamp: message.sentAt });
+            } catch (error) {
+                message.verified = false;
+            }
+            history.push(message);
+        }
+
+        const added = this.storage.mergeMessages(this.currentRoom, history);
+        console.log(`📜 Merged ${added.length} message(s) shared by ${data.from}`);
+        this.emit('history_loaded', { roomId: this.currentRoom, messages: added, unreadable: 0, from: data.from });
+    }
+
+    /**
+     * Bind shared history to its room and direction
+     */
+    getHistoryContext(from, to) {
+        return JSON.stringify(['history', this.currentRoom, from, to]);
+    }
+
+    /**
+     * Store the recent messages the server kept for the room. Those sent
+     * under keys we never held cannot be read and are only counted.
+     */
+    async loadHistory(envelopes) {
+        const roomId = this.currentRoom;
+        const history = [];
+        let unreadable = 0;
+
+        for (const envelope of envelopes) {
+            // Already seen, e.g. when resuming after a dropped connection
+            if (this.storage.findMessageByServerId(roomId, envelope.serverId)) {
+                continue;
+            }
+
+            const message = await this.decryptIncoming(envelope);
+            if (!message) {
+                continue;
+            }
+            if (message.decrypted === false) {
+                unreadable++;
+                continue;
+            }
+            history.push({
+                ...message,
+                sentAt: message.timestamp,
+                serverId: envelope.serverId,
+                serverTimestamp: envelope.serverTimestamp,
+                timestamp: envelope.serverTimestamp
+            });
+        }
+
+        const added = this.storage.mergeMessages(roomId, history);
+        console.log(`📜 Loaded ${added.length} message(s) from room history`);
+        this.emit('history_loaded', { roomId, messages: added, unreadable });
+    }
+
+    /**
+     * Export this session (identity keys, room key and room details) as a
+     * backup encrypted under the given passphrase
+     */
+    async exportSession(passphrase) {
+        if (!this.currentRoom || !this.currentUser) {
+            throw new Error('Not connected to a room');
+        }
+
+        const roomData = this.storage.getRoomData(this.currentRoom) || {};
+        return this.crypto.exportSession(passphrase, {
+            roomId: this.currentRoom,
+            username: this.currentUser,
+            roomName: roomData.name,
+            creator: roomData.creator,
+            autoDeleteMinutes: roomData.autoDeleteMinutes,
+            passphraseProtected: !!roomData.passphraseProtected,
+            verifiedPeers: this.storage.getPeerVerifications(this.currentRoom),
+            rejoinToken: this.rejoinToken
+        });
+    }
+
+    /**
+     * Restore a session backup and rejoin its room with the same identity
+     */
+    async importSession(backupText, passphrase) {
+        const session = await this.crypto.importSession(backupText, passphrase);
+
+        this.storage.restorePeerVerifications(session.roomId, session.verifiedPeers || {});
+        // Stands in for an invite, so invite-only rooms take us back
+        this.rejoinToken = session.rejoinToken || null;
+        await this.joinRoom(session.roomId, session.username, await this.crypto.exportPublicKey());
+
+        // Bring back the room details only the original member knew
+        const roomData = this.storage.getRoomData(session.roomId);
+        if (roomData) {
+            this.storage.setRoomData(session.roomId, {
+                ...roomData,
+                name: session.roomName || roomData.name,
+                creator: session.creator,
+                autoDeleteMinutes: session.autoDeleteMinutes || roomData.autoDeleteMinutes,
+                passphraseProtected: session.passphraseProtected
+            });
+        }
+
+        console.log(`💾 Rejoined room ${session.roomId} from a session backup`);
+        return session;
+    }
+
+    /**
+     * Start presence updates for cross-browser sync - NEW METHOD
+     */
+    startPresenceUpdates() {
+        this.stopPresenceUpdates();
+        
+        // Update online status every 10 seconds
+        this.presenceInterval = setInterval(() => {
+            if (this.currentRoom && this.currentUser) {
+                this.storage.updateParticipantOnlineStatus(
+                    this.currentRoom, 
+                    this.currentUser, 
+                    true
+                );
+            }
+        }, 10000);
+    }
+
+    /**
+     * Start room data refreshing - NEW METHOD
+     */
+    startRoomRefreshing() {
+        this.stopRoomRefreshing();
+        
+        // Refresh room data every 5 seconds to get updates from other browsers
+        this.roomRefreshInterval = setInterval(() => {
+            if (this.currentRoom) {
+                this.refreshRoomData();
+            }
+        }, 5000);
+    }
+
+    /**
+     * Stop presence updates
+     */
+    stopPresenceUpdates() {
+        if (this.presenceInterval) {
+            clearInterval(this.presenceInterval);
+            this.presenceInterval = null;
+        }
+    }
+
+    /**
+     * Stop room refreshing
+     */
+    stopRoomRefreshing() {
+        if (this.roomRefreshInterval) {
+            clearInterval(this.roomRefreshInterval);
+            this.roomRefreshInterval = null;
+        }
+    }
+
+    /**
+     * Refresh room data from localStorage - NEW METHOD
+     */
+    refreshRoomData() {
+        if (!this.currentRoom) return;
+        
+        try {
+            const stored = localStorage.getItem(`securechat_room_${this.currentRoom}`);
+            if (stored) {
+                const sharedData = JSON.parse(stored);
+                const currentData = this.storage.getRoomData(this.currentRoom);
+                
+                if (currentData && sharedData) {
+                    let participantsUpdated = false;
+                    
+                    // Merge participant information
+                    if (sharedData.participants) {
+                        // Update our local participant data with shared online status
+                        sharedData.participants.forEach(sharedParticipant => {
+                            const localParticipant = currentData.participants?.find(
+                                p => p.username === sharedParticipant.username
+                            );
+                            
+                            if (localParticipant) {
+                                // Update online status from shared data if it's more recent
+                                if (sharedParticipant.lastSeen > localParticipant.lastSeen) {
+                                    localParticipant.isOnline = sharedParticipant.isOnline;
+                                    localParticipant.lastSeen = sharedParticipant.lastSeen;
+                                    participantsUpdated = true;
+                                }
+                            } else {
+                                // Add new participant from shared data
+                                if (!currentData.participants) {
+                                    currentData.participants = [];
+                                }
+                                currentData.participants.push({
+                                    ...sharedParticipant,
+                                    publicKey: null // Don't sync public keys
+                                });
+                                participantsUpdated = true;
+                            }
+                        });
+                        
+                        // Remove participants that are no longer in shared data
+                        if (currentData.participants) {
+                            const sharedUsernames = new Set(sharedData.participants.map(p => p.username));
+                            const originalLength = currentData.participants.length;
+                            currentData.participants = currentData.participants.filter(p => 
+                                sharedUsernames.has(p.username) || p.username === this.currentUser
+                            );
+                            if (currentData.participants.length !== originalLength) {
+                                participantsUpdated = true;
+                            }
+                        }
+                    }
+                    
+                    // Update expiration time to be consistent
+                    if (sharedData.expiresAt && sharedData.expiresAt !== currentData.expiresAt) {
+                        currentData.expiresAt = sharedData.expiresAt;
+                    }
+                    
+                    // Notify UI if participants were updated
+                    if (participantsUpdated) {
+                        this.emit('participants_updated');
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Error refreshing room data:', error);
+        }
+    }
+
+    /**
+     * Handle incoming messages from server
+     */
+    handleIncomingMessage(messageData) {
+        console.log('🔄 Processing message:', messageData.type);
+        
+        switch (messageData.type) {
+            case 'chat_message':
+                // This is a chat message from another user
+                if (messageData.message && messageData.roomId === this.currentRoom) {
+                    this.enqueue(async () => {
+                        // Store the unsealed message locally, flagging forged authors
+                        const message = await this.decryptIncoming(messageData.message);
+                        if (!message) {
+                            return;
+                        }
+                        // A resend whose first copy got through is shown once
+                        if (message.verified && message.clientId &&
+                            this.storage.findMessageByClientId(this.currentRoom, message.author, message.clientId)) {
+                            return;
+                        }
+                        message.serverId = messageData.message.serverId;
+                        message.serverTimestamp = messageData.message.serverTimestamp;
+                        // Storage stamps its own receipt time, so keep the signed one
+                        message.sentAt = message.timestamp;
+
+                        // Keep the file key out of storage; only the transfer needs it
+                        let incomingFile = null;
+                        if (message.attachment) {
+                            incomingFile = await this.acceptAttachment(message.author, message.attachment);
+                            message.attachment = SecureMessaging.describeAttachment(
+                                message.attachment,
+                                incomingFile ? 'receiving' : 'failed'
+                            );
+                        }
+
+                        const storedMessage = this.storage.addMessage(this.currentRoom, message);
+                        if (incomingFile) {
+                            incomingFile.messageId = storedMessage.id;
+                            incomingFile.attachment = storedMessage.attachment;
+                        }
+                        // Notify UI to display the message
+                        this.emit('new_message', storedMessage);
+                    });
+                }
+                break;
+
+            case 'history_request':
+                this.enqueue(() => this.handleHistoryRequest(messageData));
+                break;
+
+            case 'history_response':
+                this.enqueue(() => this.handleHistoryResponse(messageData));
+                break;
+
+            case 'history':
+                if (messageData.roomId === this.currentRoom) {
+                    this.enqueue(() => this.loadHistory(messageData.messages));
+                }
+                break;
+
+            case 'message_ack':
+                if (messageData.roomId === this.currentRoom) {
+                    this.handleMessageAck(messageData);
+                }
+                break;
+
+            case 'room_created':
+                this.resumeToken = messageData.resumeToken || null;
+                this.rejoinToken = messageData.rejoinToken || null;
+                // The server may have turned down options, e.g. history without a passphrase
+                if (messageData.settings) {
+                    this.applyRoomSettings(messageData.settings);
+                }
+                break;
+
+            case 'pong':
+                clearTimeout(this.heartbeatTimeout);
+                this.heartbeatTimeout = null;
+                break;
+
+            case 'key_offer':
+                this.enqueue(() => this.handleKeyOffer(messageData));
+                break;
+
+            case 'key_answer':
+                this.enqueue(() => this.handleKeyAnswer(messageData));
+                break;
+
+            case 'sender_key':
+                this.enqueue(() => this.handleSenderKey(messageData));
+                break;
+
+            case 'file_chunk':
+                this.enqueue(() => this.handleFileChunk(messageData));
+                break;
+
+            case 'file_chunk_ack':
+                this.handleFileChunkAck(messageData);
+                break;
+
+            case 'file_error':
+                this.handleFileError(messageData);
+                break;
+                
+            case 'user_joined':
+                if (messageData.roomId === this.currentRoom && messageData.username !== this.currentUser) {
+                    if (messageData.muted) {
+                        this.moderation.muted.add(messageData.username);
+                    }
+                    this.emit('user_joined', messageData);
+                    this.emit('system_message', {
+                        content: `${messageData.username} joined the chat`,
+                        timestamp: Date.now()
+                    });
+
+                    this.enqueue(() => this.importPeerSigningKey(messageData.username, messageData.signingKey));
+
+                    // The newcomer must not read traffic sent under our old key
+                    this.enqueue(() => this.rotateSenderKey('join'));
+                }
+                break;
+                
+            case 'user_left':
+                if (messageData.roomId === this.currentRoom) {
+                    const removed = messageData.reason === 'kicked' || messageData.reason === 'banned';
+                    this.moderation.muted.delete(messageData.username);
+                    this.emit('user_left', messageData);
+                    this.emit('system_message', {
+                        content: removed ? `A user was removed from the chat` :
+                            messageData.reason === 'timeout' ? `A user lost their connection` :
+                            `A user left the chat`,
+                        timestamp: Date.now()
+                    });
+
+                    // The departed member must not read anything we send from now on
+                    this.enqueue(() => {
+                        this.crypto.forgetPeer(messageData.username);
+                        return this.rotateSenderKey('leave');
+                    });
+                }
+                break;
+                
+            case 'room_expired':
+                if (messageData.roomId === this.currentRoom) {
+                    this.handleRoomExpired();
+                }
+                break;
+
+            case 'kicked':
+            case 'banned':
+                if (messageData.roomId === this.currentRoom) {
+                    this.handleRemovedFromRoom(messageData);
+                }
+                break;
+
+            case 'user_muted':
+            case 'room_locked':
+            case 'owner_changed':
+                if (messageData.roomId === this.currentRoom) {
+                    this.handleModerationUpdate(messageData);
+                }
+                break;
+
+            case 'join_request':
+            case 'join_request_cancelled':
+                if (messageData.roomId === this.currentRoom) {
+                    this.handleJoinRequestUpdate(messageData);
+                }
+                break;
+
+            case 'invite_created':
+            case 'invite_revoked':
+            case 'invite_used':
+                if (messageData.roomId === this.currentRoom) {
+                    this.handleInviteUpdate(messageData);
+                }
+                break;
+
+            case 'rate_limited':
+                // A room the server refused to create never existed
+                if (messageData.requestType === 'create_room' && messageData.roomId === this.currentRoom) {
+                    this.emit('error', {
+                        ...messageData,
+                        message: `Too many rooms created - try again in ${Math.ceil(messageData.retryAfter / 1000)} seconds`
+                    });
+                } else if (messageData.requestType === 'file_chunk') {
+                    this.retryFileChunk(messageData);
+                } else if (messageData.requestType === 'chat_message' && messageData.clientId) {
+                    this.failOutgoing(messageData.clientId);
+                    this.emit('rate_limited', messageData);
+                } else if (messageData.requestType !== 'join_room') {
+                    this.emit('rate_limited', messageData);
+                }
+                break;
+
+            case 'moderation_error':
+                if (messageData.roomId === this.currentRoom) {
+                    if (messageData.clientId) {
+                        this.failOutgoing(messageData.clientId);
+                    }
+                    this.emit('moderation_error', messageData);
+                }
+                break;
+                
+            case 'error':
+                if (messageData.roomId === this.currentRoom) {
+                    this.emit('error', messageData);
+                    throw new Error(messageData.message);
+                } else if (messageData.code === 'INVALID_MESSAGE') {
+                    // Something we sent failed the server's checks; the room is unaffected
+                    this.emit('message_rejected', messageData);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Send an encrypted message
+     */
+    async sendMessage(content) {
+        if (!this.currentRoom || !this.currentUser) {
+            throw new Error('Not connected to a room');
+        }
+
+        if (!content || content.trim().length === 0) {
+            throw new Error('Message content cannot be empty');
+        }
+
+        if (this.isMuted()) {
+            throw new Error('You have been muted by the room owner');
+        }
+
+        // Store message locally first (in plaintext, for immediate display)
+        // and keep it in the outbox until the server acknowledges it. It only
+        // ever leaves encrypted, held back until someone can read it.
+        const clientId = SecureCrypto.generateSessionToken();
+        const storedMessage = this.storage.addMessage(this.currentRoom, {
+            type: 'message',
+            content,
+            author: this.currentUser,
+            encrypted: true,
+            verified: true,
+            clientId,
+            status: 'pending'
+        });
+        this.storage.addToOutbox(this.currentRoom, {
+            clientId,
+            messageId: storedMessage.id,
+            author: this.currentUser,
+            content,
+            timestamp: storedMessage.timestamp
+        });
+
+        // Display our own message immediately
+        this.emit('new_message', storedMessage);
+
+        await this.deliverOutgoing(clientId);
+        return storedMessage;
+    }
+
+    /**
+     * Send a message from the outbox, in order with key handling
+     */
+    deliverOutgoing(clientId) {
+        return this.enqueueOutgoing(() => this.sendOutgoing(clientId));
+    }
+
+    /**
+     * Encrypt and send an outbox entry. Without a connection it stays
+     * pending until we are back in the room, and until someone holds our
+     * sender key it is held rather than sent where nobody can read it.
+     */
+    async sendOutgoing(clientId) {
+        const entry = this.storage.getOutbox(this.currentRoom).find(queued => queued.clientId === clientId);
+        if (!entry) {
+            return;
+        }
+
+        this.setMessageStatus(entry.messageId, 'pending');
+        if (this.connectionStatus !== 'connected') {
+            return;
+        }
+
+        if (!this.crypto.canEncrypt()) {
+            console.log('⏳ Holding message until a peer holds our sender key');
+            this.heldMessages.add(clientId);
+            return;
+        }
+        this.heldMessages.delete(clientId);
+
+        try {
+            // Encrypted afresh each time, since keys may have moved on since the last attempt
+            const { historyCopy, ...message } = await this.buildOutgoingMessage(entry.content, { clientId, timestamp: entry.timestamp });
+            this.sendToServer({
+                type: 'chat_message',
+                roomId: this.currentRoom,
+                clientId: clientId,
+                message: message,
+                historyCopy: historyCopy
+            });
+        } catch (error) {
+            console.error('❌ Failed to send message:', error);
+            this.failOutgoing(clientId);
+            return;
+        }
+
+        clearTimeout(this.ackTimers.get(clientId));
+        this.ackTimers.set(clientId, setTimeout(() => {
+            this.ackTimers.delete(clientId);
+            console.warn('⚠️ Message was not acknowledged by the server');
+            this.failOutgoing(clientId);
+        }, MESSAGE_ACK_TIMEOUT));
+        console.log('📤 Message sent and stored locally');
+    }
+
+    /**
+     * Send the messages held back until a peer could read them. Called from
+     * queued key handling, so the sends are queued behind it, not awaited.
+     */
+    releaseHeldMessages() {
+        const held = Array.from(this.heldMessages);
+        this.heldMessages.clear();
+        held.forEach(clientId => this.deliverOutgoing(clientId));
+    }
+
+    /**
+     * Resend a message that failed, e.g. from the retry action
+     */
+    retryMessage(clientId) {
+        return this.deliverOutgoing(clientId);
+    }
+
+    /**
+     * Put messages queued before a failed reconnect back on screen, and
+     * send them once the people here hold our sender key
+     */
+    async resendOutbox(roomId, peers) {
+        const keysExchanged = this.waitForKeyExchange(peers);
+        const queued = this.storage.getOutbox(roomId);
+        if (queued.length === 0) {
+            return;
+        }
+
+        // Only messages we wrote under this name can be sent as ours
+        this.storage.clearOutbox(roomId);
+        queued.filter(entry => entry.author === this.currentUser).forEach(entry => {
+            let message = this.storage.findMessageByClientId(roomId, entry.author, entry.clientId);
+            if (!message) {
+                message = this.storage.addMessage(roomId, {
+                    type: 'message',
+                    content: entry.content,
+                    author: entry.author,
+                    encrypted: true,
+                    verified: true,
+                    clientId: entry.clientId,
+                    status: 'pending'
+                });
+                this.emit('new_message', message);
+            }
+            this.storage.addToOutbox(roomId, { ...entry, messageId: message.id });
+        });
+
+        await keysExchanged;
+        if (this.currentRoom === roomId) {
+            await this.flushOutbox();
+        }
+    }
+
+    /**
+     * Resend everything still in the outbox, oldest first
+     */
+    async flushOutbox() {
+        for (const entry of this.storage.getOutbox(this.currentRoom)) {
+            await this.deliverOutgoing(entry.clientId);
+        }
+    }
+
+    handleMessageAck(data) {
+        const entry = this.storage.getOutbox(this.currentRoom).find(queued => queued.clientId === data.clientId);
+        if (!entry) {
+            return;
+        }
+
+        clearTimeout(this.ackTimers.get(data.clientId));
+        this.ackTimers.delete(data.clientId);
+        this.storage.removeFromOutbox(this.currentRoom, data.clientId);
+        this.setMessageStatus(entry.messageId, 'sent', {
+            serverId: data.serverId,
+            serverTimestamp: data.serverTimestamp
+        });
+    }
+
+    /**
+     * Mark an outgoing message as failed. It stays in the outbox, so a
+     * reconnect or the retry action sends it again.
+     */
+    failOutgoing(clientId) {
+        const entry = this.storage.getOutbox(this.currentRoom).find(queued => queued.clientId === clientId);
+        clearTimeout(this.ackTimers.get(clientId));
+        this.ackTimers.delete(clientId);
+        if (entry) {
+            this.setMessageStatus(entry.messageId, 'failed');
+        }
+    }
+
+    setMessageStatus(messageId, status, changes = {}) {
+        const message = this.storage.updateMessage(this.currentRoom, messageId, { ...changes, status });
+        if (message) {
+            this.emit('message_status', message);
+        }
+    }
+
+    /**
+     * Stop waiting on acknowledgements and sender keys, e.g. when the connection is gone
+     */
+    clearAckTimers() {
+        this.ackTimers.forEach(timer => clearTimeout(timer));
+        this.ackTimers.clear();
+        this.heldMessages.clear();
+    }
+
+    /**
+     * Send a file as an encrypted attachment. The file is encrypted with a
+     * fresh key that travels inside the encrypted chat message, then streamed
+     * to the room in chunks.
+     */
+    async sendAttachment(file, caption = '') {
+        if (!this.currentRoom || !this.currentUser) {
+            throw new Error('Not connected to a room');
+        }
+
+        if (this.isMuted()) {
+            throw new Error('You have been muted by the room owner');
+        }
+
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+            throw new Error(`File is too large (max ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB)`);
+        }
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const fileKey = await this.crypto.generateFileKey();
+        const attachment = {
+            fileId: SecureCrypto.generateSessionToken(),
+            name: file.name || 'attachment',
+            type: file.type || 'application/octet-stream',
+            size: bytes.length
+        };
+
+        const payload = JSON.stringify({
+            text: caption,
+            attachment: { ...attachment, key: await this.crypto.exportFileKey(fileKey) }
+        });
+        const message = await this.enqueueOutgoing(async () => {
+            if (!this.crypto.canEncrypt()) {
+                throw new Error('Attachments can only be sent once encryption is established');
+            }
+            const built = await this.buildOutgoingMessage(payload, { type: 'attachment' });
+            this.sendToServer({
+                type: 'chat_message',
+                roomId: this.currentRoom,
+                message: built
+            });
+            return built;
+        });
+
+        // Store our copy with a local preview of the file
+        const storedMessage = this.storage.addMessage(this.currentRoom, {
+            type: message.type,
+            content: caption,
+            author: this.currentUser,
+            encrypted: true,
+            attachment: {
+                ...SecureMessaging.describeAttachment(attachment, 'sending'),
+                url: URL.createObjectURL(file)
+            },
+            verified: true
+        });
+        this.emit('new_message', storedMessage);
+
+        try {
+            await this.sendFileChunks(attachment.fileId, fileKey, bytes);
+            this.updateAttachment(storedMessage.id, { ...storedMessage.attachment, status: 'sent' });
+        } catch (error) {
+            console.error('❌ Failed to send attachment:', error);
+            this.updateAttachment(storedMessage.id, { ...storedMessage.attachment, status: 'failed' });
+            throw error;
+        }
+
+        console.log(`📎 Attachment ${attachment.name} sent`);
+        return storedMessage;
+    }
+
+    /**
+     * Encrypt and stream a file's chunks, keeping at most FILE_CHUNK_WINDOW
+     * chunks waiting for the server's acknowledgement
+     */
+    async sendFileChunks(fileId, fileKey, bytes) {
+        const roomId = this.currentRoom;
+        const total = Math.max(1, Math.ceil(bytes.length / FILE_CHUNK_SIZE));
+        const transfer = { inFlight: 0, resume: null, error: null, unacked: new Map() };
+        this.outgoingFiles.set(fileId, transfer);
+
+        try {
+            for (let index = 0; index < total; index++) {
+                while (transfer.inFlight >= FILE_CHUNK_WINDOW && !transfer.error) {
+                    await new Promise(resolve => { transfer.resume = resolve; });
+                }
+                if (transfer.error) {
+                    throw transfer.error;
+                }
+
+                const chunk = bytes.subarray(index * FILE_CHUNK_SIZE, (index + 1) * FILE_CHUNK_SIZE);
+                const data = await this.crypto.encryptFileChunk(fileKey, chunk, { fileId, index, total });
+
+                const message = {
+                    type: 'file_chunk',
+                    roomId: roomId,
+                    fileId: fileId,
+                    index: index,
+                    total: total,
+                    data: data
+                };
+                transfer.inFlight++;
+                transfer.unacked.set(index, message);
+                this.sendToServer(message);
+            }
+
+            // Stay around until the last chunks are relayed, in case one must be resent
+            while (transfer.inFlight > 0 && !transfer.error) {
+                await new Promise(resolve => { transfer.resume = resolve; });
+            }
+            if (transfer.error) {
+                throw transfer.error;
+            }
+        } finally {
+            this.outgoingFiles.delete(fileId);
+        }
+    }
+
+    /**
+     * Let the next chunk of an outgoing file go once the server relayed one
+     */
+    handleFileChunkAck(data) {
+        const transfer = this.outgoingFiles.get(data.fileId);
+        if (!transfer) {
+            return;
+        }
+
+        transfer.inFlight--;
+        transfer.unacked.delete(data.index);
+        this.resumeFileTransfer(transfer);
+    }
+
+    /**
+     * Resend a chunk the server dropped for arriving too fast
+     */
+    retryFileChunk(data) {
+        const transfer = this.outgoingFiles.get(data.fileId);
+        const message = transfer && transfer.unacked.get(data.index);
+        if (!message) {
+            return;
+        }
+
+        setTimeout(() => {
+            if (this.outgoingFiles.get(data.fileId) === transfer && !transfer.error) {
+                this.sendToServer(message);
+            }
+        }, data.retryAfter);
+    }
+
+    /**
+     * Abort an outgoing file the server refused to relay
+     */
+    handleFileError(data) {
+        const transfer = this.outgoingFiles.get(data.fileId);
+        if (!transfer) {
+            return;
+        }
+
+        transfer.error = new Error(data.message);
+        this.resumeFileTransfer(transfer);
+    }
+
+    /**
+     * Wake a transfer waiting for room in its chunk window
+     */
+    resumeFileTransfer(transfer) {
+        if (transfer.resume) {
+            const resume = transfer.resume;
+            transfer.resume = null;
+            resume();
+        }
+    }
+
+    /**
+     * Start collecting the chunks of a file announced in a chat message.
+     * Returns the pending transfer, or null if the announcement is invalid.
+     */
+    async acceptAttachment(from, attachment) {
+        try {
+            if (typeof attachment.fileId !== 'string' || !Number.isInteger(attachment.size) ||
+                attachment.size < 0 || attachment.size > MAX_ATTACHMENT_BYTES) {
+                throw new Error('Invalid attachment');
+            }
+
+            const total = Math.max(1, Math.ceil(attachment.size / FILE_CHUNK_SIZE));
+            const transfer = {
+                from,
+                total,
+                messageId: null,
+                attachment: null,
+                key: await this.crypto.importFileKey(attachment.key),
+                chunks: new Array(total),
+                received: 0
+            };
+            this.incomingFiles.set(attachment.fileId, transfer);
+            return transfer;
+        } catch (error) {
+            console.warn(`⚠️ Rejected attachment from ${from}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Decrypt one chunk of an incoming file and assemble the file when the
+     * last chunk arrives
+     */
+    async handleFileChunk(data) {
+        if (data.roomId !== this.currentRoom) {
+            return;
+        }
+
+        const transfer = this.incomingFiles.get(data.fileId);
+        if (!transfer || data.total !== transfer.total ||
+            !(data.index >= 0 && data.index < transfer.total) || transfer.chunks[data.index]) {
+            return;
+        }
+
+        try {
+            transfer.chunks[data.index] = await this.crypto.decryptFileChunk(transfer.key, data.data, {
+                fileId: data.fileId,
+                index: data.index,
+                total: data.total
+            });
+        } catch (error) {
+            console.warn(`⚠️ Failed to decrypt attachment chunk from ${transfer.from}:`, error);
+            this.incomingFiles.delete(data.fileId);
+            this.updateAttachment(transfer.messageId, { ...transfer.attachment, status: 'failed' });
+            return;
+        }
+
+        transfer.received++;
+        if (transfer.received < transfer.total) {
+            return;
+        }
+
+        this.incomingFiles.delete(data.fileId);
+        const blob = new Blob(transfer.chunks, { type: transfer.attachment.type });
+        if (blob.size !== transfer.attachment.size) {
+            this.updateAttachment(transfer.messageId, { ...transfer.attachment, status: 'failed' });
+            return;
+        }
+
+        this.updateAttachment(transfer.messageId, {
+            ...transfer.attachment,
+            status: 'received',
+            url: URL.createObjectURL(blob)
+        });
+        console.log(`📎 Attachment received from ${transfer.from}`);
+    }
+
+    /**
+     * Replace a stored message's attachment details and notify the UI
+     */
+    updateAttachment(messageId, attachment) {
+        const updated = this.storage.updateMessage(this.currentRoom, messageId, { attachment });
+        if (updated) {
+            this.emit('attachment_updated', updated);
+        } else if (attachment.url) {
+            // The message went away while the file was on its way
+            URL.revokeObjectURL(attachment.url);
+        }
+    }
+
+    /**
+     * Abandon all file transfers, e.g. when leaving the room
+     */
+    cancelFileTransfers() {
+        this.outgoingFiles.forEach(transfer => {
+            transfer.error = new Error('File transfer cancelled');
+            this.resumeFileTransfer(transfer);
+        });
+        this.incomingFiles.clear();
+    }
+
+    /**
+     * Public attachment details kept with a message (never the file key)
+     */
+    static describeAttachment(attachment, status) {
+        return {
+            fileId: String(attachment.fileId),
+            name: String(attachment.name || 'attachment'),
+            type: String(attachment.type || 'application/octet-stream'),
+            size: Number(attachment.size) || 0,
+            status
+        };
+    }
+
+    /**
+     * Sign a chat message for the current room. Once encryption is available
+     * the author, timestamp and signature are sealed inside the encrypted
+     * envelope, so the server only learns which room the message is for.
+     */
+    async buildOutgoingMessage(content, { cover = false, type = 'message', clientId = null, timestamp = Date.now() } = {}) {
+        const message = {
+            type: type,
+            content: content,
+            author: this.currentUser,
+            timestamp: timestamp,
+            clientId: clientId
+        };
+
+        // Sign the message so receivers can check we wrote it
+        message.signature = await this.crypto.signPayload(this.getSignedData(this.currentRoom, message));
+
+        if (!this.crypto.canEncrypt()) {
+            return { ...message, encrypted: false };
+        }
+
+        const sealed = JSON.stringify({
+            author: message.author,
+            timestamp: message.timestamp,
+            signature: message.signature,
+            content: message.content,
+            clientId: message.clientId
+        });
+        const outgoing = {
+            type: type,
+            content: await this.crypto.encryptMessage(sealed, { roomId: this.currentRoom, cover }),
+            encrypted: true
+        };
+
+        // Rooms that keep history get a copy under the room key for the server
+        // to store, since later joiners never hold the sender keys used above
+        if (this.roomSettings.history && type === 'message' && !cover) {
+            outgoing.historyCopy = await this.crypto.encryptMessage(sealed, { roomId: this.currentRoom, roomKeyOnly: true });
+        }
+        return outgoing;
+    }
+
+    /**
+     * Apply the options the room creator chose for this room
+     */
+    applyRoomSettings(settings) {
+        this.roomSettings = { ...(settings || {}) };
+
+        if (this.roomSettings.coverTraffic) {
+            this.startCoverTraffic();
+        } else {
+            this.stopCoverTraffic();
+        }
+    }
+
+    /**
+     * Send encrypted dummy messages at random intervals so an observer
+     * cannot tell when participants are actually talking
+     */
+    startCoverTraffic() {
+        this.stopCoverTraffic();
+
+        const delay = COVER_TRAFFIC_MIN_DELAY +
+            Math.random() * (COVER_TRAFFIC_MAX_DELAY - COVER_TRAFFIC_MIN_DELAY);
+        this.coverTrafficTimer = setTimeout(async () => {
+            try {
+                await this.enqueueOutgoing(() => this.sendCoverMessage());
+            } catch (error) {
+                console.warn('⚠️ Failed to send cover message:', error);
+            }
+            if (this.coverTrafficTimer) {
+                this.startCoverTraffic();
+            }
+        }, delay);
+    }
+
+    /**
+     * Stop sending cover traffic
+     */
+    stopCoverTraffic() {
+        if (this.coverTrafficTimer) {
+            clearTimeout(this.coverTrafficTimer);
+            this.coverTrafficTimer = null;
+        }
+    }
+
+    /**
+     * Send a single cover message; receivers drop it after decryption
+     */
+    async sendCoverMessage() {
+        // Cover traffic only hides anything once messages are encrypted,
+        // and the server would turn it away from a muted member
+        if (!this.currentRoom || !this.currentUser || !this.crypto.canEncrypt() || this.isMuted()) {
+            return;
+        }
+
+        const message = await this.buildOutgoingMessage('', { cover: true });
+        this.sendToServer({
+            type: 'chat_message',
+            roomId: this.currentRoom,
+            message: message
+        });
+    }
+
+    /**
+     * Ping the server regularly so a dead connection is noticed quickly
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            if (this.heartbeatTimeout) {
+                return;
+            }
+
+            try {
+                this.sendToServer({ type: 'ping' });
+            } catch (error) {
+                this.handleConnectionLost('closed');
+                return;
+            }
+            this.heartbeatTimeout = setTimeout(() => {
+                console.warn('💀 Server stopped answering heartbeats');
+                this.handleConnectionLost('timeout');
+            }, HEARTBEAT_TIMEOUT);
+        }, HEARTBEAT_INTERVAL);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.heartbeatTimeout);
+        this.heartbeatTimer = null;
+        this.heartbeatTimeout = null;
+    }
+
+    /**
+     * Drop a socket that closed or went silent, telling the UI if we were in a room
+     */
+    handleConnectionLost(reason) {
+        const ws = this.ws;
+        this.stopHeartbeat();
+        this.clearAckTimers();
+        this.connectionStatus = 'disconnected';
+        this.ws = null;
+
+        if (ws) {
+            ws.onclose = null;
+            ws.close();
+        }
+        if (this.currentRoom) {
+            if (!this.reconnectAttempts) {
+                this.emit('connection_lost', { roomId: this.currentRoom, reason });
+            }
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Try to get back into the current room after a jittered, growing delay
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer) {
+            return;
+        }
+        if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            this.abandonReconnect('Could not reach the server');
+            return;
+        }
+
+        const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        this.reconnectAttempts++;
+
+        console.log(`🔄 Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+        this.emit('reconnecting', { roomId: this.currentRoom, attempt: this.reconnectAttempts, delay });
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.reconnect();
+        }, delay);
+    }
+
+    async reconnect() {
+        const roomId = this.currentRoom;
+        const username = this.currentUser;
+
+        try {
+            await this.connect();
+        } catch (error) {
+            console.warn('⚠️ Reconnect attempt failed:', error.message);
+            this.handleConnectionLost('closed');
+            return;
+        }
+
+        // We may have left the room while the connection came back
+        if (this.currentRoom !== roomId) {
+            return;
+        }
+
+        // Peers dropped our sender key when we left, so queued messages wait
+        // until they have it again
+        const keysExchanged = this.waitForKeyExchange(this.crypto.getSecurePeers());
+        try {
+            await this.joinRoom(roomId, username, await this.crypto.exportPublicKey());
+        } catch (error) {
+            // A dropped connection has already scheduled the next attempt;
+            // anything else means the server will not take us back
+            if (this.connectionStatus === 'connected' && this.currentRoom === roomId) {
+                this.abandonReconnect(error.message);
+            }
+            return;
+        }
+
+        this.reconnectAttempts = 0;
+        console.log(`✅ Resumed room ${roomId}`);
+        this.emit('reconnected', { roomId });
+
+        await keysExchanged;
+        if (this.currentRoom === roomId) {
+            await this.flushOutbox();
+        }
+    }
+
+    cancelReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+    }
+
+    abandonReconnect(message) {
+        const roomId = this.currentRoom;
+        // Keep what we could not send for when the room is joined again
+        this.teardownRoom({ keepOutbox: true });
+
+        console.warn(`❌ Gave up reconnecting to room ${roomId}: ${message}`);
+        this.emit('reconnect_failed', { roomId, message });
+    }
+
+    /**
+     * Send data to WebSocket server
+     */
+    sendToServer(data) {
+        if (this.ws && this.connectionStatus === 'connected') {
+            this.ws.send(JSON.stringify(data));
+            console.log('📤 Sent to server:', data.type);
+        } else {
+            console.error('❌ Cannot send - WebSocket not connected');
+            throw new Error('Not connected to server');
+        }
+    }
+
+    /**
+     * Get room messages
+     */
+    async getMessages(limit = 50) {
+        if (!this.currentRoom) {
+            return [];
+        }
+
+        // Messages are stored already decrypted
+        return this.storage.getMessages(this.currentRoom, limit);
+    }
+
+    /**
+     * Leave the current room - FIXED: Update online status and stop sync
+     */
+    async leaveRoom() {
         if (!this.currentRoom || !this.currentUser) {
             return;
         }
@@ -501,15 +2065,25 @@ class SecureMessaging {
             // Update online status to false
             this.storage.updateParticipantOnlineStatus(this.currentRoom, this.currentUser, false);
             
-            // Stop presence updates and room refreshing
+            // Stop presence updates, room refreshing and cover traffic
             this.stopPresenceUpdates();
             this.stopRoomRefreshing();
+            this.stopCoverTraffic();
+            this.cancelFileTransfers();
+            this.cancelReconnect();
+            this.stopHistorySync();
+            this.clearAckTimers();
+            this.storage.clearOutbox(this.currentRoom);
+            // Also frees the decrypted attachments the messages hold
+            this.storage.clearMessages(this.currentRoom);
 
-            // Tell server we're leaving
-            this.sendToServer({
-                type: 'leave_room',
-                roomId: this.currentRoom
-            });
+            // Tell server we're leaving, unless we are between reconnects
+            if (this.connectionStatus === 'connected') {
+                this.sendToServer({
+                    type: 'leave_room',
+                    roomId: this.currentRoom
+                });
+            }
 
             // Remove from local participants
             this.storage.removeParticipant(this.currentRoom, this.currentUser);
@@ -522,7 +2096,12 @@ class SecureMessaging {
             // Clean up
             this.currentRoom = null;
             this.currentUser = null;
+            this.resumeToken = null;
+            this.rejoinToken = null;
             this.connectionStatus = 'disconnected';
+            this.moderation = { owner: null, locked: false, muted: new Set() };
+            this.invites.clear();
+            this.joinRequests.clear();
             this.crypto.cleanup();
 
             console.log('👋 Left room and disconnected');
@@ -531,6 +2110,263 @@ class SecureMessaging {
         }
     }
 
+    /**
+     * Tear down a room the server expired. The server closes our
+     * connection right after telling us.
+     */
+    handleRoomExpired() {
+        const roomId = this.currentRoom;
+        this.teardownRoom();
+
+        console.log(`⏰ Room ${roomId} expired on the server`);
+        this.emit('room_expired', { roomId });
+    }
+
+    /**
+     * Tear down a room the owner kicked or banned us from. The connection
+     * stays open for joining another room.
+     */
+    handleRemovedFromRoom(data) {
+        this.teardownRoom();
+
+        console.log(`🔨 ${data.message}`);
+        this.emit(data.type, data);
+    }
+
+    /**
+     * Drop everything held for the current room after the server has
+     * already taken us out of it
+     */
+    teardownRoom({ keepOutbox = false } = {}) {
+        this.stopPresenceUpdates();
+        this.stopRoomRefreshing();
+        this.stopCoverTraffic();
+        this.cancelFileTransfers();
+        this.cancelReconnect();
+        this.stopHistorySync();
+        this.clearAckTimers();
+        if (!keepOutbox) {
+            this.storage.clearOutbox(this.currentRoom);
+        }
+        this.storage.clearMessages(this.currentRoom);
+
+        this.currentRoom = null;
+        this.currentUser = null;
+        this.resumeToken = null;
+        this.rejoinToken = null;
+        this.moderation = { owner: null, locked: false, muted: new Set() };
+        this.invites.clear();
+        this.joinRequests.clear();
+        this.crypto.cleanup();
+    }
+
+    /**
+     * Track mutes, locks and ownership changes announced by the server
+     */
+    handleModerationUpdate(data) {
+        let content;
+
+        if (data.type === 'user_muted') {
+            if (data.muted) {
+                this.moderation.muted.add(data.username);
+            } else {
+                this.moderation.muted.delete(data.username);
+            }
+            const who = data.username === this.currentUser ? 'You have' : `${data.username} has`;
+            content = `${who} been ${data.muted ? 'muted' : 'unmuted'} by the room owner`;
+        } else if (data.type === 'room_locked') {
+            this.moderation.locked = data.locked;
+            content = data.locked ? 'The room is now locked to new participants' : 'The room has been unlocked';
+        } else {
+            this.moderation.owner = data.owner;
+            // Only the owner can revoke, so invites we minted are out of our hands
+            if (data.owner !== this.currentUser) {
+                this.invites.clear();
+                this.joinRequests.clear();
+                this.emit('join_requests_updated', data);
+            }
+            content = data.owner === this.currentUser ? 'You now own this room' : `${data.owner} now owns this room`;
+        }
+
+        this.emit('moderation_updated', data);
+        this.emit('system_message', { content, timestamp: Date.now() });
+    }
+
+    /**
+     * Whether the current user holds moderator powers in this room
+     */
+    isRoomOwner() {
+        return !!this.currentUser && this.moderation.owner === this.currentUser;
+    }
+
+    /**
+     * Whether a participant (by default the current user) is muted
+     */
+    isMuted(username = this.currentUser) {
+        return this.moderation.muted.has(username);
+    }
+
+    kickUser(username) {
+        this.sendModeration('kick_user', { username });
+    }
+
+    banUser(username) {
+        this.sendModeration('ban_user', { username });
+    }
+
+    muteUser(username, muted = true) {
+        this.sendModeration('mute_user', { username, muted });
+    }
+
+    lockRoom(locked = true) {
+        this.sendModeration('lock_room', { locked });
+    }
+
+    transferOwnership(username) {
+        this.sendModeration('transfer_ownership', { username });
+    }
+
+    /**
+     * Let a waiting participant in, or turn them away
+     */
+    answerJoinRequest(requestId, approved) {
+        this.sendModeration('join_decision', { requestId, approved });
+        this.joinRequests.delete(requestId);
+        this.emit('join_requests_updated', { requestId });
+    }
+
+    /**
+     * Track people knocking on the room while we own it
+     */
+    handleJoinRequestUpdate(data) {
+        if (data.type === 'join_request') {
+            this.joinRequests.set(data.requestId, {
+                username: data.username,
+                timestamp: data.timestamp
+            });
+        } else {
+            this.joinRequests.delete(data.requestId);
+        }
+
+        this.emit('join_requests_updated', data);
+    }
+
+    getJoinRequests() {
+        return Array.from(this.joinRequests.entries())
+            .map(([requestId, request]) => ({ requestId, ...request }));
+    }
+
+    /**
+     * Stop waiting for the owner to let us in
+     */
+    cancelJoinRequest() {
+        if (!this.pendingJoin) {
+            return;
+        }
+
+        this.sendToServer({
+            type: 'leave_room',
+            roomId: this.pendingJoin
+        });
+    }
+
+    /**
+     * Mint an invite link for the current room
+     */
+    createInvite({ maxUses = 1, expiresInMinutes = 60 } = {}) {
+        this.sendModeration('create_invite', { maxUses, expiresInMinutes });
+    }
+
+    revokeInvite(token) {
+        this.sendModeration('revoke_invite', { token });
+    }
+
+    /**
+     * Track the invites we minted as the server creates, spends and revokes them
+     */
+    handleInviteUpdate(data) {
+        if (data.type === 'invite_created') {
+            this.invites.set(data.token, {
+                maxUses: data.maxUses,
+                uses: data.uses,
+                expiresAt: data.expiresAt
+            });
+        } else if (data.type === 'invite_revoked') {
+            this.invites.delete(data.token);
+        } else if (this.invites.has(data.token)) {
+            this.invites.get(data.token).uses = data.uses;
+        }
+
+        this.emit('invites_updated', data);
+    }
+
+    /**
+     * Invites for the current room that can still be used
+     */
+    getInvites() {
+        const now = Date.now();
+        return Array.from(this.invites.entries())
+            .filter(([, invite]) => invite.expiresAt > now && invite.uses < invite.maxUses)
+            .map(([token, invite]) => ({ token, ...invite }));
+    }
+
+    /**
+     * Send a moderation command; the server enforces ownership as well
+     */
+    sendModeration(type, fields) {
+        if (!this.isRoomOwner()) {
+            throw new Error('Only the room owner can do that');
+        }
+
+        this.sendToServer({
+            type,
+            roomId: this.currentRoom,
+            ...fields
+        });
+    }
+
+    /**
+     * Work out which WebSocket server to use: a `?server=` query parameter,
+     * then `serverUrl` from the config object, then the server this page was
+     * loaded from
+     */
+    static resolveServerUrl(loc, config = {}) {
+        const override = new URLSearchParams(loc.search).get('server') || (config && config.serverUrl);
+        if (override) {
+            const url = new URL(override, loc.href);
+            if (url.protocol !== 'ws:' && url.protocol !== 'wss:') {
+                throw new Error(`Server URL must use ws: or wss:, got ${url.protocol}`);
+            }
+            return url.href;
+        }
+
+        // Opened straight from disk there is no server to follow
+        if (loc.protocol !== 'http:' && loc.protocol !== 'https:') {
+            return 'ws://localhost:3000';
+        }
+
+        // Same host and port, in the directory the page was served from
+        const protocol = loc.protocol === 'https:' ? 'wss:' : 'ws:';
+        const directory = loc.pathname.replace(/[^/]*$/, '');
+        return `${protocol}//${loc.host}${directory}`;
+    }
+
+    /**
+     * Build a shareable invite link. The token lives in the fragment, so it
+     * never reaches a server in a request.
+     */
+    static buildInviteLink(roomId, token, baseUrl = `${location.origin}${location.pathname}`) {
+        return `${baseUrl}#join=${roomId}.${token}`;
+    }
+
+    /**
+     * Read `#join=<room>.<token>` from a URL fragment
+     */
+    static parseInviteLink(hash) {
+        const match = /^#?join=([0-9A-Fa-f]+)\.([0-9a-f]+)$/.exec(hash || '');
+        return match ? { roomId: match[1].toUpperCase(), token: match[2] } : null;
+    }
+
     /**
      * Get room statistics - FIXED: Use storage's accurate method
      */
@@ -590,7 +2426,7 @@ class SecureMessaging {
             status: this.connectionStatus,
             room: this.currentRoom,
             user: this.currentUser,
-            encryptionReady: !!this.crypto.encryptionKey
+            encryptionReady: this.crypto.canEncrypt()
         };
     }
 
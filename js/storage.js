@@ -23,7 +23,8 @@ class SecureStorage {
             ...data,
             createdAt: timestamp,
             lastActivity: timestamp,
-            expiresAt: timestamp + (data.autoDeleteMinutes * 60 * 1000),
+            // Keep an expiry the server already fixed for this room
+            expiresAt: data.expiresAt || timestamp + (data.autoDeleteMinutes * 60 * 1000),
             // Store in localStorage for cross-browser access
             _shared: true
         };
@@ -79,6 +80,7 @@ class SecureStorage {
 
         // Check if expired
         if (Date.now() > data.expiresAt) {
+            SecureStorage.releaseAttachmentUrls(data.messages || []);
             this.sessionData.delete(key);
             try {
                 localStorage.removeItem(`${this.prefix}room_${roomId}`);
@@ -271,6 +273,7 @@ class SecureStorage {
             
             // Limit messages to prevent memory issues (keep last 100 messages)
             if (data.messages.length > 100) {
+                SecureStorage.releaseAttachmentUrls(data.messages.slice(0, -100));
                 data.messages = data.messages.slice(-100);
             }
             
@@ -282,6 +285,25 @@ class SecureStorage {
         return null;
     }
 
+    /**
+     * Update fields of a stored message
+     */
+    updateMessage(roomId, messageId, changes) {
+        const data = this.getRoomData(roomId);
+        if (!data || !data.messages) {
+            return null;
+        }
+
+        const index = data.messages.findIndex(message => message.id === messageId);
+        if (index === -1) {
+            return null;
+        }
+
+        data.messages[index] = { ...data.messages[index], ...changes };
+        this.sessionData.set(`room_${roomId}`, data);
+        return data.messages[index];
+    }
+
     /**
      * Get messages for room
      */
@@ -299,12 +321,149 @@ class SecureStorage {
     clearMessages(roomId) {
         const data = this.getRoomData(roomId);
         if (data) {
+            SecureStorage.releaseAttachmentUrls(data.messages || []);
             data.messages = [];
             this.sessionData.set(`room_${roomId}`, data);
             console.log(`🧹 Messages cleared for room ${roomId}`);
         }
     }
 
+    /**
+     * Revoke the object URLs of attachments, so the decrypted file contents
+     * they hold can be freed once their messages are gone
+     */
+    static releaseAttachmentUrls(messages) {
+        messages.forEach(message => {
+            if (message.attachment && message.attachment.url) {
+                URL.revokeObjectURL(message.attachment.url);
+            }
+        });
+    }
+
+    /**
+     * Add messages that arrived from elsewhere, such as history, in
+     * timestamp order and skipping any already stored. Returns the ones added.
+     */
+    mergeMessages(roomId, messages) {
+        const data = this.getRoomData(roomId);
+        if (!data) {
+            return [];
+        }
+
+        const stored = data.messages || [];
+        const added = messages
+            .filter(message => !stored.some(existing => SecureStorage.isSameMessage(existing, message)))
+            .map(message => ({ ...message, id: this.generateMessageId() }));
+
+        // Same limit as addMessage, keeping the newest
+        const merged = [...stored, ...added].sort((a, b) => a.timestamp - b.timestamp);
+        SecureStorage.releaseAttachmentUrls(merged.slice(0, -100));
+        data.messages = merged.slice(-100);
+
+        this.updateRoomActivity(roomId);
+        this.sessionData.set(`room_${roomId}`, data);
+        return added.filter(message => data.messages.includes(message));
+    }
+
+    /**
+     * Two copies of one message share the server's ID or their author's
+     */
+    static isSameMessage(a, b) {
+        return (!!a.serverId && a.serverId === b.serverId) ||
+            (!!a.clientId && a.clientId === b.clientId && a.author === b.author);
+    }
+
+    /**
+     * Find a message by the ID the server gave it
+     */
+    findMessageByServerId(roomId, serverId) {
+        return this.getMessages(roomId, Infinity).find(message => message.serverId === serverId) || null;
+    }
+
+    /**
+     * Find a message by the ID its author gave it
+     */
+    findMessageByClientId(roomId, author, clientId) {
+        return this.getMessages(roomId, Infinity)
+            .find(message => message.author === author && message.clientId === clientId) || null;
+    }
+
+    /**
+     * Queue an outgoing message until the server acknowledges it. Like
+     * messages, the outbox only lives in memory for this session.
+     */
+    addToOutbox(roomId, entry) {
+        this.sessionData.set(`outbox_${roomId}`, [...this.getOutbox(roomId), entry]);
+    }
+
+    /**
+     * Get the messages still waiting for an acknowledgement, oldest first
+     */
+    getOutbox(roomId) {
+        return [...(this.sessionData.get(`outbox_${roomId}`) || [])];
+    }
+
+    /**
+     * Remove an acknowledged message from the outbox
+     */
+    removeFromOutbox(roomId, clientId) {
+        this.sessionData.set(`outbox_${roomId}`, this.getOutbox(roomId).filter(entry => entry.clientId !== clientId));
+    }
+
+    /**
+     * Drop everything still queued for a room
+     */
+    clearOutbox(roomId) {
+        this.sessionData.delete(`outbox_${roomId}`);
+    }
+
+    /**
+     * Mark a peer's public and signing keys as verified for a room
+     */
+    setPeerVerification(roomId, username, publicKey, signingKey) {
+        const key = `verified_${roomId}`;
+        const verified = this.sessionData.get(key) || {};
+        verified[username] = {
+            publicKey,
+            signingKey,
+            verifiedAt: Date.now()
+        };
+        this.sessionData.set(key, verified);
+        console.log(`✅ Peer ${username} verified in room ${roomId}`);
+    }
+
+    /**
+     * Get the verified public key record for a peer, if any
+     */
+    getPeerVerification(roomId, username) {
+        const verified = this.sessionData.get(`verified_${roomId}`);
+        return verified ? verified[username] || null : null;
+    }
+
+    /**
+     * Remove a peer's verification
+     */
+    clearPeerVerification(roomId, username) {
+        const verified = this.sessionData.get(`verified_${roomId}`);
+        if (verified) {
+            delete verified[username];
+        }
+    }
+
+    /**
+     * Get every peer verification recorded for a room
+     */
+    getPeerVerifications(roomId) {
+        return { ...(this.sessionData.get(`verified_${roomId}`) || {}) };
+    }
+
+    /**
+     * Restore peer verifications, e.g. from a session backup
+     */
+    restorePeerVerifications(roomId, verified) {
+        this.sessionData.set(`verified_${roomId}`, { ...verified });
+    }
+
     /**
      * Store user preferences
      */
@@ -420,6 +579,7 @@ class SecureStorage {
         // Clean session storage
         for (const [key, data] of this.sessionData.entries()) {
             if (key.startsWith('room_') && data.expiresAt && now > data.expiresAt) {
+                SecureStorage.releaseAttachmentUrls(data.messages || []);
                 this.sessionData.delete(key);
                 cleanedCount++;
             }
@@ -455,6 +615,11 @@ class SecureStorage {
      * Force cleanup of all session data - FIXED: Clean both storages
      */
     clearAllSessionData() {
+        for (const [key, data] of this.sessionData.entries()) {
+            if (key.startsWith('room_')) {
+                SecureStorage.releaseAttachmentUrls(data.messages || []);
+            }
+        }
         this.sessionData.clear();
         
         // Clean localStorage rooms
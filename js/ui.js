@@ -3,6 +3,26 @@
  * Handles all user interface interactions and updates
  */
 
+// Image types shown inline; anything else (including SVG) gets a download card
+const PREVIEWABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Usernames the server accepts: letters, digits, _ . ' - and single inner spaces
+const USERNAME_PATTERN = /^[\p{L}\p{N}_.'-]+(?: [\p{L}\p{N}_.'-]+)*$/u;
+
+const ATTACHMENT_STATUS_LABELS = {
+    sending: 'Sending...',
+    sent: 'Sent',
+    receiving: 'Receiving...',
+    received: 'Encrypted file',
+    failed: 'Transfer failed'
+};
+
+const MESSAGE_STATUS_LABELS = {
+    pending: 'Sending...',
+    sent: 'Sent',
+    failed: 'Not sent'
+};
+
 class SecureUI {
     constructor() {
         this.currentScreen = 'welcome';
@@ -11,9 +31,11 @@ class SecureUI {
         this.timerInterval = null;
         this.autoScrollEnabled = true;
         this.toastTimeouts = new Map(); // Track toast timeouts
+        this.roomExpiredNotified = false;
         
         this.initializeElements();
         this.attachEventListeners();
+        this.applyInviteLink();
     }
 
     /**
@@ -82,6 +104,93 @@ setupMobileOptimizations() {
             this.confirmLeaveRoom();
         });
 
+        // Participants panel
+        document.getElementById('participants-btn')?.addEventListener('click', () => {
+            this.openParticipantsPanel();
+        });
+
+        document.getElementById('close-participants')?.addEventListener('click', () => {
+            this.closeParticipantsPanel();
+        });
+
+        document.getElementById('lock-room-btn')?.addEventListener('click', () => {
+            this.runModeration(() => window.secureMessaging.lockRoom(!window.secureMessaging.moderation.locked));
+        });
+
+        document.getElementById('participants-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'participants-modal') {
+                this.closeParticipantsPanel();
+            }
+        });
+
+        // Invite links
+        document.getElementById('invite-btn')?.addEventListener('click', () => {
+            this.openInvitePanel();
+        });
+
+        document.getElementById('close-invite')?.addEventListener('click', () => {
+            this.closeInvitePanel();
+        });
+
+        document.getElementById('invite-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'invite-modal') {
+                this.closeInvitePanel();
+            }
+        });
+
+        document.getElementById('create-invite-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runModeration(() => window.secureMessaging.createInvite({
+                maxUses: parseInt(document.getElementById('invite-max-uses').value),
+                expiresInMinutes: parseInt(document.getElementById('invite-expiry').value)
+            }));
+        });
+
+        document.getElementById('cancel-join-btn')?.addEventListener('click', () => {
+            try {
+                window.secureMessaging.cancelJoinRequest();
+            } catch (error) {
+                this.showToast(error.message, 'error', 3000);
+            }
+        });
+
+        window.addEventListener('hashchange', () => {
+            this.applyInviteLink();
+        });
+
+        // Session backup
+        document.getElementById('export-session-btn')?.addEventListener('click', () => {
+            this.openSessionPanel();
+        });
+
+        document.getElementById('close-session')?.addEventListener('click', () => {
+            this.closeSessionPanel();
+        });
+
+        document.getElementById('session-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'session-modal') {
+                this.closeSessionPanel();
+            }
+        });
+
+        document.getElementById('export-session-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleExportSession();
+        });
+
+        document.getElementById('copy-session-backup')?.addEventListener('click', () => {
+            this.copySessionBackup();
+        });
+
+        document.getElementById('download-session-backup')?.addEventListener('click', () => {
+            this.downloadSessionBackup();
+        });
+
+        document.getElementById('restore-session-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleRestoreSession();
+        });
+
         // Form submissions
         document.getElementById('create-room-form')?.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -109,6 +218,19 @@ setupMobileOptimizations() {
             this.updateSendButtonState();
         });
 
+        // File attachments
+        document.getElementById('attach-btn')?.addEventListener('click', () => {
+            document.getElementById('attachment-input')?.click();
+        });
+
+        document.getElementById('attachment-input')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.handleSendAttachment(file);
+            }
+        });
+
         // Auto-scroll toggle on manual scroll
         this.messageContainer?.addEventListener('scroll', () => {
             const { scrollTop, scrollHeight, clientHeight } = this.messageContainer;
@@ -155,6 +277,10 @@ setupMobileOptimizations() {
      */
     showWelcomeScreen() {
         this.showScreen('welcome');
+        this.closeParticipantsPanel();
+        this.closeInvitePanel();
+        this.closeSessionPanel();
+        this.setReconnectBanner(null);
         
         // Clean up any existing connections
         if (window.secureMessaging) {
@@ -177,6 +303,14 @@ setupMobileOptimizations() {
         const roomName = document.getElementById('room-name').value.trim();
         const username = document.getElementById('username-create').value.trim();
         const autoDeleteMinutes = parseInt(document.getElementById('auto-delete-timer').value);
+        const passphrase = document.getElementById('room-passphrase').value;
+        const settings = {
+            coverTraffic: document.getElementById('cover-traffic').checked,
+            inviteOnly: document.getElementById('invite-only').checked,
+            knockToJoin: document.getElementById('knock-to-join').checked,
+            history: document.getElementById('keep-history').checked,
+            historySync: document.getElementById('history-sync').checked
+        };
 
         if (!username) {
             this.showToast('Please enter a username', 'error', 3000);
@@ -188,13 +322,31 @@ setupMobileOptimizations() {
             return;
         }
 
+        if (!USERNAME_PATTERN.test(username)) {
+            this.showToast('Usernames may only use letters, numbers, spaces and _ . \' -', 'error', 3000);
+            return;
+        }
+
+        if (passphrase && passphrase.length < 8) {
+            this.showToast('Room passphrase must be at least 8 characters', 'error', 3000);
+            return;
+        }
+
+        if (settings.history && !passphrase) {
+            this.showToast('Keeping recent messages needs a room passphrase', 'error', 3000);
+            return;
+        }
+
         try {
             this.showLoading('Creating room and generating encryption keys...');
             
-            const result = await window.secureMessaging.createRoom(roomName, username, autoDeleteMinutes);
+            const result = await window.secureMessaging.createRoom(roomName, username, autoDeleteMinutes, passphrase, settings);
             
             this.hideLoading();
             this.setupChatRoom(result.roomId, result.roomData.name, username);
+            if (settings.inviteOnly) {
+                this.addSystemMessage('Only people with an invite link can join. Use Invite to create one.');
+            }
             this.showToast('Room created successfully!', 'success', 3000);
             
         } catch (error) {
@@ -216,6 +368,8 @@ setupMobileOptimizations() {
         
         const roomId = document.getElementById('room-id').value.trim().toUpperCase();
         const username = document.getElementById('username-join').value.trim();
+        const passphrase = document.getElementById('join-passphrase').value;
+        const invite = document.getElementById('join-invite').value;
 
         if (!roomId) {
             this.showToast('Please enter a room ID', 'error', 3000);
@@ -232,6 +386,11 @@ setupMobileOptimizations() {
             return;
         }
 
+        if (!USERNAME_PATTERN.test(username)) {
+            this.showToast('Usernames may only use letters, numbers, spaces and _ . \' -', 'error', 3000);
+            return;
+        }
+
         try {
             this.showLoading('Joining room and setting up encryption...');
             
@@ -243,18 +402,25 @@ setupMobileOptimizations() {
             const userPublicKey = await window.secureCrypto.exportPublicKey();
             
             // Attempt to join room
-            await window.secureMessaging.joinRoom(roomId, username, userPublicKey);
+            await window.secureMessaging.joinRoom(roomId, username, userPublicKey, passphrase, invite);
             
             this.hideLoading();
+            this.setJoinWaiting(false);
+            this.clearInviteLink();
             this.setupChatRoom(roomId, `Room ${roomId}`, username);
             this.showToast('Joined room successfully!', 'success', 4000); // 4 seconds
             
         } catch (error) {
             this.hideLoading();
+            this.setJoinWaiting(false);
             
             // Specific error messages with appropriate durations
             if (error.message.includes('Room not found')) {
                 this.showToast(`Room "${roomId}" not found. Please check the Room ID or create a new room.`, 'error', 4000);
+            } else if (error.message.includes('Join request cancelled')) {
+                this.showToast('Stopped waiting to join', 'info', 3000);
+            } else if (error.message.includes('passphrase') || error.message.includes('nvite') || error.message.includes('declined')) {
+                this.showToast(error.message, 'error', 4000);
             } else if (error.message.includes('Username already taken')) {
                 this.showToast('Username already taken in this room. Please choose a different name.', 'error', 4000);
             } else if (error.message.includes('timed out')) {
@@ -268,6 +434,51 @@ setupMobileOptimizations() {
         }
     }
 
+    /**
+     * Restore a session backup and rejoin its room - WITH SAFETY CHECK
+     */
+    async handleRestoreSession() {
+        if (!window.app || !window.app.initialized) {
+            this.showToast('Application is still loading. Please wait...', 'warning', 3000);
+            return;
+        }
+
+        const passphrase = document.getElementById('session-restore-passphrase').value;
+        const file = document.getElementById('session-backup-file').files[0];
+        let backup = document.getElementById('session-backup-input').value.trim();
+
+        if (!backup && file) {
+            backup = (await file.text()).trim();
+        }
+
+        if (!backup) {
+            this.showToast('Paste a session backup or choose a backup file', 'error', 3000);
+            return;
+        }
+
+        if (!passphrase) {
+            this.showToast('Please enter the backup passphrase', 'error', 3000);
+            return;
+        }
+
+        try {
+            this.showLoading('Decrypting session backup and rejoining...');
+
+            const session = await window.secureMessaging.importSession(backup, passphrase);
+
+            this.hideLoading();
+            this.setJoinWaiting(false);
+            document.getElementById('restore-session-form').reset();
+            this.setupChatRoom(session.roomId, session.roomName || `Room ${session.roomId}`, session.username);
+            this.showToast('Session restored successfully!', 'success', 4000);
+        } catch (error) {
+            this.hideLoading();
+            this.setJoinWaiting(false);
+            this.showToast(`Failed to restore session: ${error.message}`, 'error', 4000);
+            console.error('Restore session error:', error);
+        }
+    }
+
     /**
      * Setup chat room interface
      */
@@ -280,6 +491,7 @@ setupMobileOptimizations() {
         
         // Clear previous messages
         this.clearMessages();
+        this.roomExpiredNotified = false;
         
         // Start room timer
         this.startRoomTimer();
@@ -289,6 +501,8 @@ setupMobileOptimizations() {
         
         // Update participants
         this.updateParticipants();
+        this.updateOwnerControls();
+        this.renderJoinRequests();
         
         // Show room info message
         this.addSystemMessage(`Welcome to ${roomName || 'the room'}! Room ID: ${roomId}`);
@@ -333,6 +547,35 @@ setupMobileOptimizations() {
         }
     }
 
+    /**
+     * Send a file, using any typed text as its caption
+     */
+    async handleSendAttachment(file) {
+        const caption = this.messageInput.value.trim();
+
+        if (caption.length > 1000) {
+            this.showToast('Message is too long (max 1000 characters)', 'error', 3000);
+            return;
+        }
+
+        try {
+            this.messageInput.disabled = true;
+            this.sendButton.disabled = true;
+
+            // Clear the caption right away; large uploads take a while
+            const sending = window.secureMessaging.sendAttachment(file, caption);
+            this.messageInput.value = '';
+            await sending;
+        } catch (error) {
+            this.showToast(`Failed to send file: ${error.message}`, 'error', 4000);
+            console.error('Send attachment error:', error);
+        } finally {
+            this.messageInput.disabled = false;
+            this.updateSendButtonState();
+            this.focusMessageInput();
+        }
+    }
+
     /**
      * Load and display messages
      */
@@ -377,6 +620,12 @@ setupMobileOptimizations() {
         } else {
             const isOwn = message.author === window.secureMessaging.currentUser;
             messageEl.classList.add(isOwn ? 'own' : 'other');
+
+            // Flag messages whose signature does not match the claimed author
+            const isUnverified = message.verified === false;
+            if (isUnverified) {
+                messageEl.classList.add('unverified');
+            }
             
             const time = new Date(message.timestamp).toLocaleTimeString([], { 
                 hour: '2-digit', 
@@ -387,24 +636,162 @@ setupMobileOptimizations() {
                 '<i class="fas fa-lock" title="Encrypted"></i>' : 
                 '<i class="fas fa-unlock" title="Not encrypted"></i>';
             
+            const verificationWarning = isUnverified ?
+                '<div class="message-warning"><i class="fas fa-exclamation-triangle"></i> Unverified sender - this message may be forged</div>' :
+                '';
+            
             messageEl.innerHTML = `
                 <div class="message-header">
                     <span class="message-author">${this.escapeHtml(message.author)}</span>
                     <span class="message-time">${time} ${encryptionIcon}</span>
                 </div>
+                ${verificationWarning}
                 <div class="message-content">${this.escapeHtml(message.content)}</div>
             `;
+
+            if (message.attachment) {
+                messageEl.appendChild(this.renderAttachment(message.attachment));
+            }
+
+            // Our own messages show whether the server has them yet
+            if (isOwn && message.status) {
+                messageEl.dataset.messageId = message.id;
+                messageEl.querySelector('.message-header').appendChild(this.renderMessageStatus(message));
+            }
         }
         
         this.messageContainer.appendChild(messageEl);
     }
 
+    /**
+     * Build the delivery state of one of our messages, with a retry
+     * action once it has failed
+     */
+    renderMessageStatus(message) {
+        const status = document.createElement('span');
+        status.className = `message-status ${message.status}`;
+
+        const icon = document.createElement('i');
+        icon.className = {
+            pending: 'fas fa-clock',
+            sent: 'fas fa-check',
+            failed: 'fas fa-exclamation-circle'
+        }[message.status];
+        status.append(icon, ` ${MESSAGE_STATUS_LABELS[message.status]}`);
+
+        if (message.status === 'failed') {
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'message-retry';
+            retry.textContent = 'Retry';
+            retry.addEventListener('click', () => {
+                window.secureMessaging.retryMessage(message.clientId);
+            });
+            status.appendChild(retry);
+        }
+        return status;
+    }
+
+    /**
+     * Refresh the delivery state shown on one of our messages
+     */
+    updateMessageStatus(message) {
+        const messageEl = Array.from(this.messageContainer.querySelectorAll('.message.own'))
+            .find(el => el.dataset.messageId === message.id);
+        const current = messageEl && messageEl.querySelector('.message-status');
+        if (current) {
+            current.replaceWith(this.renderMessageStatus(message));
+        }
+    }
+
+    /**
+     * Build an inline image preview or a download card for an attachment.
+     * Built from DOM nodes since file names come from other participants.
+     */
+    renderAttachment(attachment) {
+        const container = document.createElement('div');
+        container.className = 'message-attachment';
+        container.dataset.fileId = attachment.fileId;
+
+        if (attachment.url && PREVIEWABLE_IMAGE_TYPES.includes(attachment.type)) {
+            const link = document.createElement('a');
+            link.href = attachment.url;
+            link.download = attachment.name;
+
+            const image = document.createElement('img');
+            image.className = 'attachment-preview';
+            image.src = attachment.url;
+            image.alt = attachment.name;
+
+            link.appendChild(image);
+            container.appendChild(link);
+        }
+
+        const card = document.createElement('div');
+        card.className = `attachment-card ${attachment.status}`;
+
+        const icon = document.createElement('i');
+        icon.className = attachment.type.startsWith('image/') ? 'fas fa-file-image' : 'fas fa-file';
+
+        const info = document.createElement('div');
+        info.className = 'attachment-info';
+        const name = document.createElement('span');
+        name.className = 'attachment-name';
+        name.textContent = attachment.name;
+        const meta = document.createElement('span');
+        meta.className = 'attachment-meta';
+        meta.textContent = `${this.formatFileSize(attachment.size)} · ${ATTACHMENT_STATUS_LABELS[attachment.status] || ''}`;
+        info.append(name, meta);
+
+        card.append(icon, info);
+
+        if (attachment.url) {
+            const download = document.createElement('a');
+            download.className = 'attachment-download';
+            download.href = attachment.url;
+            download.download = attachment.name;
+            download.title = 'Download';
+            download.innerHTML = '<i class="fas fa-download"></i>';
+            card.appendChild(download);
+        }
+
+        container.appendChild(card);
+        return container;
+    }
+
+    /**
+     * Re-render an attachment whose transfer state changed
+     */
+    updateAttachmentElement(message) {
+        const current = Array.from(this.messageContainer.querySelectorAll('.message-attachment'))
+            .find(el => el.dataset.fileId === message.attachment.fileId);
+        if (current) {
+            current.replaceWith(this.renderAttachment(message.attachment));
+        }
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
     /**
      * Add system message
      */
-    addSystemMessage(content) {
+    addSystemMessage(content, level = 'info') {
         const messageEl = document.createElement('div');
         messageEl.className = 'message system-message';
+        if (level === 'warning') {
+            messageEl.classList.add('warning');
+        }
         messageEl.innerHTML = `<span>${this.escapeHtml(content)}</span>`;
         this.messageContainer.appendChild(messageEl);
         this.scrollToBottom();
@@ -437,6 +824,408 @@ setupMobileOptimizations() {
         }
     }
 
+    /**
+     * Open the participant details panel
+     */
+    openParticipantsPanel() {
+        this.renderParticipantList();
+        this.updateLockButton();
+        document.getElementById('participant-details').innerHTML =
+            '<p class="participant-hint">Select a participant to compare safety numbers.</p>';
+        document.getElementById('participants-modal')?.classList.add('active');
+    }
+
+    /**
+     * Close the participant details panel
+     */
+    closeParticipantsPanel() {
+        document.getElementById('participants-modal')?.classList.remove('active');
+    }
+
+    /**
+     * Open the invite links panel
+     */
+    openInvitePanel() {
+        this.renderInviteList();
+        document.getElementById('invite-modal')?.classList.add('active');
+    }
+
+    /**
+     * Close the invite links panel
+     */
+    closeInvitePanel() {
+        document.getElementById('invite-modal')?.classList.remove('active');
+    }
+
+    /**
+     * Render the invites we minted that can still be used
+     */
+    renderInviteList() {
+        const list = document.getElementById('invite-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const roomId = window.secureMessaging.currentRoom;
+        window.secureMessaging.getInvites().forEach(invite => {
+            const item = document.createElement('li');
+            item.className = 'invite-item';
+
+            const link = document.createElement('input');
+            link.type = 'text';
+            link.readOnly = true;
+            link.value = SecureMessaging.buildInviteLink(roomId, invite.token);
+
+            const footer = document.createElement('div');
+            footer.className = 'invite-item-footer';
+            const expires = new Date(invite.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            footer.innerHTML = `
+                <span>${invite.uses}/${invite.maxUses} used · expires ${expires}</span>
+                <span>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="copy"><i class="fas fa-copy"></i> Copy</button>
+                    <button type="button" class="btn btn-danger btn-sm" data-action="revoke"><i class="fas fa-trash"></i> Revoke</button>
+                </span>
+            `;
+            footer.querySelector('[data-action="copy"]').addEventListener('click', () => this.copyInviteLink(link.value));
+            footer.querySelector('[data-action="revoke"]').addEventListener('click', () => {
+                this.runModeration(() => window.secureMessaging.revokeInvite(invite.token));
+            });
+
+            item.appendChild(link);
+            item.appendChild(footer);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Copy an invite link to the clipboard
+     */
+    async copyInviteLink(link) {
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showToast('Invite link copied', 'success', 2000);
+        } catch (error) {
+            this.showToast('Could not copy - select the link and copy it manually', 'warning', 3000);
+        }
+    }
+
+    /**
+     * Pre-fill the join screen from a `#join=<room>.<token>` link
+     */
+    applyInviteLink() {
+        const invite = SecureMessaging.parseInviteLink(window.location.hash);
+        if (!invite) return;
+
+        // Keep the token out of the address bar and browser history
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        this.showScreen('join-room');
+        document.getElementById('room-id').value = invite.roomId;
+        document.getElementById('join-invite').value = invite.token;
+        document.getElementById('join-invite-notice').hidden = false;
+        document.getElementById('username-join').focus();
+    }
+
+    /**
+     * Forget an invite once it has been used
+     */
+    clearInviteLink() {
+        document.getElementById('join-invite').value = '';
+        document.getElementById('join-invite-notice').hidden = true;
+    }
+
+    /**
+     * Swap the join form for a waiting notice while the owner decides
+     */
+    setJoinWaiting(waiting) {
+        document.getElementById('join-room-form').hidden = waiting;
+        document.getElementById('join-waiting').hidden = !waiting;
+    }
+
+    /**
+     * Show the owner who is knocking, with buttons to let them in
+     */
+    renderJoinRequests() {
+        const list = document.getElementById('join-requests');
+        if (!list) return;
+
+        const requests = window.secureMessaging.getJoinRequests();
+        list.innerHTML = '';
+        list.hidden = requests.length === 0;
+
+        requests.forEach(request => {
+            const item = document.createElement('li');
+            item.className = 'join-request';
+            item.innerHTML = `
+                <span><i class="fas fa-door-closed"></i> ${this.escapeHtml(request.username)} is asking to join</span>
+                <span>
+                    <button type="button" class="btn btn-primary btn-sm" data-action="approve">Let in</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="deny">Deny</button>
+                </span>
+            `;
+            item.querySelectorAll('button').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.runModeration(() => window.secureMessaging.answerJoinRequest(
+                        request.requestId,
+                        button.dataset.action === 'approve'
+                    ));
+                });
+            });
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show owner-only controls to the room owner
+     */
+    updateOwnerControls() {
+        const inviteButton = document.getElementById('invite-btn');
+        if (inviteButton) {
+            inviteButton.hidden = !window.secureMessaging.isRoomOwner();
+        }
+        if (!window.secureMessaging.isRoomOwner()) {
+            this.closeInvitePanel();
+        }
+    }
+
+    /**
+     * Open the session backup panel
+     */
+    openSessionPanel() {
+        document.getElementById('export-session-form').reset();
+        document.getElementById('session-backup-output').value = '';
+        document.getElementById('session-backup-result').classList.remove('active');
+        document.getElementById('session-modal')?.classList.add('active');
+    }
+
+    /**
+     * Close the session backup panel, dropping any backup still on screen
+     */
+    closeSessionPanel() {
+        const output = document.getElementById('session-backup-output');
+        if (output) {
+            output.value = '';
+        }
+        document.getElementById('session-modal')?.classList.remove('active');
+    }
+
+    /**
+     * Create an encrypted backup of the current session
+     */
+    async handleExportSession() {
+        const passphrase = document.getElementById('session-export-passphrase').value;
+
+        if (passphrase.length < 8) {
+            this.showToast('Backup passphrase must be at least 8 characters', 'error', 3000);
+            return;
+        }
+
+        try {
+            this.showLoading('Encrypting session backup...');
+            const backup = await window.secureMessaging.exportSession(passphrase);
+            this.hideLoading();
+
+            document.getElementById('session-backup-output').value = backup;
+            document.getElementById('session-backup-result').classList.add('active');
+        } catch (error) {
+            this.hideLoading();
+            this.showToast(`Failed to back up session: ${error.message}`, 'error', 4000);
+            console.error('Export session error:', error);
+        }
+    }
+
+    /**
+     * Copy the session backup to the clipboard
+     */
+    async copySessionBackup() {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('session-backup-output').value);
+            this.showToast('Session backup copied', 'success', 2000);
+        } catch (error) {
+            this.showToast('Could not copy - select the text and copy it manually', 'warning', 3000);
+        }
+    }
+
+    /**
+     * Save the session backup as a text file
+     */
+    downloadSessionBackup() {
+        const backup = document.getElementById('session-backup-output').value;
+        const url = URL.createObjectURL(new Blob([backup], { type: 'text/plain' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hippochat-session-${window.secureMessaging.currentRoom}.txt`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Render the list of participants with their verification state
+     */
+    renderParticipantList() {
+        const list = document.getElementById('participants-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        window.secureMessaging.getParticipants().forEach(participant => {
+            const isSelf = participant.username === window.secureMessaging.currentUser;
+            const verified = !isSelf && window.secureMessaging.isPeerVerified(participant.username);
+
+            const isOwner = participant.username === window.secureMessaging.moderation.owner;
+            const muted = window.secureMessaging.isMuted(participant.username);
+
+            const item = document.createElement('li');
+            item.className = 'participant-item';
+            item.innerHTML = `
+                <span class="participant-name">${this.escapeHtml(participant.username)}${isSelf ? ' (you)' : ''}</span>
+                <span>
+                    ${isOwner ? '<i class="fas fa-crown participant-owner" title="Room owner"></i>' : ''}
+                    ${muted ? '<i class="fas fa-microphone-slash participant-muted" title="Muted"></i>' : ''}
+                    ${verified ? '<i class="fas fa-check-circle participant-verified" title="Verified"></i>' : ''}
+                </span>
+            `;
+
+            if (!isSelf) {
+                item.classList.add('selectable');
+                item.addEventListener('click', () => this.showParticipantDetails(participant.username));
+            }
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the safety number and fingerprint grid shared with a peer
+     */
+    async showParticipantDetails(username) {
+        const details = document.getElementById('participant-details');
+        const safety = await window.secureMessaging.getSafetyNumber(username);
+
+        if (!safety) {
+            details.innerHTML = `<p class="participant-hint">Waiting for key exchange with ${this.escapeHtml(username)}...</p>`;
+            this.appendModerationActions(details, username);
+            return;
+        }
+
+        details.innerHTML = `
+            <h4>${this.escapeHtml(username)}</h4>
+            <p class="participant-hint">Compare these with ${this.escapeHtml(username)} over a trusted channel. If they match, nobody is intercepting your messages.</p>
+            <div class="safety-number">${safety.safetyNumber.map(group => `<span>${group}</span>`).join('')}</div>
+            <div class="fingerprint-grid">${this.renderFingerprintGrid(safety.fingerprint)}</div>
+            <button id="verify-peer-btn" class="btn ${safety.verified ? 'btn-secondary' : 'btn-primary'} btn-sm">
+                <i class="fas ${safety.verified ? 'fa-times-circle' : 'fa-check-circle'}"></i>
+                ${safety.verified ? 'Clear verification' : 'Mark as verified'}
+            </button>
+        `;
+
+        document.getElementById('verify-peer-btn').addEventListener('click', () => {
+            try {
+                window.secureMessaging.setPeerVerified(username, !safety.verified);
+                this.showParticipantDetails(username);
+                this.renderParticipantList();
+            } catch (error) {
+                this.showToast(error.message, 'error', 3000);
+            }
+        });
+        this.appendModerationActions(details, username);
+    }
+
+    /**
+     * Add the owner's moderation menu for a participant
+     */
+    appendModerationActions(details, username) {
+        if (!window.secureMessaging.isRoomOwner()) {
+            return;
+        }
+
+        const muted = window.secureMessaging.isMuted(username);
+        const actions = [
+            { label: muted ? 'Unmute' : 'Mute', icon: muted ? 'fa-microphone' : 'fa-microphone-slash',
+                run: () => window.secureMessaging.muteUser(username, !muted) },
+            { label: 'Kick', icon: 'fa-user-minus',
+                run: () => window.secureMessaging.kickUser(username) },
+            { label: 'Ban', icon: 'fa-ban', danger: true,
+                confirm: `Ban ${username}? They will not be able to rejoin this room.`,
+                run: () => window.secureMessaging.banUser(username) },
+            { label: 'Make owner', icon: 'fa-crown',
+                confirm: `Hand room ownership to ${username}? You will lose moderator powers.`,
+                run: () => window.secureMessaging.transferOwnership(username) }
+        ];
+
+        const menu = document.createElement('div');
+        menu.className = 'moderation-actions';
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = `btn ${action.danger ? 'btn-danger' : 'btn-secondary'} btn-sm`;
+            button.innerHTML = `<i class="fas ${action.icon}"></i> ${action.label}`;
+            button.addEventListener('click', () => {
+                if (action.confirm && !confirm(action.confirm)) {
+                    return;
+                }
+                this.runModeration(action.run);
+            });
+            menu.appendChild(button);
+        });
+        details.appendChild(menu);
+    }
+
+    /**
+     * Run a moderation command, reporting failures as a toast
+     */
+    runModeration(command) {
+        try {
+            command();
+        } catch (error) {
+            this.showToast(error.message, 'error', 3000);
+        }
+    }
+
+    /**
+     * Show the lock toggle to the room owner only
+     */
+    updateLockButton() {
+        const button = document.getElementById('lock-room-btn');
+        if (!button) return;
+
+        const locked = window.secureMessaging.moderation.locked;
+        button.hidden = !window.secureMessaging.isRoomOwner();
+        button.innerHTML = `<i class="fas ${locked ? 'fa-lock-open' : 'fa-lock'}"></i> ${locked ? 'Unlock room' : 'Lock room'}`;
+    }
+
+    /**
+     * Leave the chat after the room owner removed us
+     */
+    handleRemovedFromRoom(data) {
+        this.stopTimer();
+        this.closeParticipantsPanel();
+        this.showToast(data.message, 'warning', 5000);
+        this.showWelcomeScreen();
+    }
+
+    /**
+     * Show the reconnecting banner with a status line, or hide it when null
+     */
+    setReconnectBanner(status) {
+        const banner = document.getElementById('reconnect-banner');
+        banner.hidden = !status;
+        if (status) {
+            document.getElementById('reconnect-status').textContent = status;
+        }
+    }
+
+    /**
+     * Render the first 64 bits of a fingerprint as an 8x8 QR-style grid
+     */
+    renderFingerprintGrid(fingerprint) {
+        let cells = '';
+        for (let i = 0; i < 16; i++) {
+            const nibble = parseInt(fingerprint[i], 16);
+            for (let bit = 3; bit >= 0; bit--) {
+                cells += `<span class="${(nibble >> bit) & 1 ? 'filled' : ''}"></span>`;
+            }
+        }
+        return cells;
+    }
+
     /**
      * Start room timer display - FIXED: Use consistent expiration time
      */
@@ -488,6 +1277,12 @@ setupMobileOptimizations() {
      * Handle room expiration
      */
     handleRoomExpired() {
+        // The server and the local timer can both report the same expiry
+        if (this.roomExpiredNotified) {
+            return;
+        }
+        this.roomExpiredNotified = true;
+
         this.stopTimer();
         this.showToast('Room has expired and been deleted', 'warning', 4000);
         this.addSystemMessage('Room has expired. All messages have been deleted.');
@@ -703,6 +1498,29 @@ setupMobileOptimizations() {
             this.scrollToBottom();
         });
 
+        // Attachment finished sending or receiving
+        window.secureMessaging.on('attachment_updated', (message) => {
+            this.updateAttachmentElement(message);
+        });
+
+        // Recent messages the room kept from before we joined
+        window.secureMessaging.on('history_loaded', (data) => {
+            if (data.messages.length > 0) {
+                this.loadMessages();
+                if (data.from) {
+                    this.addSystemMessage(`${data.from} shared ${data.messages.length} earlier message${data.messages.length === 1 ? '' : 's'} with you.`);
+                }
+            }
+            if (data.unreadable > 0) {
+                this.addSystemMessage(`${data.unreadable} earlier message${data.unreadable === 1 ? ' was' : 's were'} sent before you joined and cannot be decrypted.`);
+            }
+        });
+
+        // Our messages moving from pending to sent or failed
+        window.secureMessaging.on('message_status', (message) => {
+            this.updateMessageStatus(message);
+        });
+
         // User joined
         window.secureMessaging.on('user_joined', (data) => {
             this.addSystemMessage(`${data.username} joined the chat`);
@@ -718,6 +1536,14 @@ setupMobileOptimizations() {
         // Participants updated
         window.secureMessaging.on('participants_updated', () => {
             this.updateParticipants();
+            if (document.getElementById('participants-modal')?.classList.contains('active')) {
+                this.renderParticipantList();
+            }
+        });
+
+        // A verified peer's key changed
+        window.secureMessaging.on('peer_key_changed', (data) => {
+            this.addSystemMessage(`⚠️ The safety number with ${data.username} has changed. Verify it again before trusting this conversation.`, 'warning');
         });
 
         // Encryption ready
@@ -728,6 +1554,90 @@ setupMobileOptimizations() {
             }
         });
 
+        // Sender keys replaced after a membership change
+        window.secureMessaging.on('keys_rotated', () => {
+            this.addSystemMessage('Encryption keys rotated');
+        });
+
+        // Socket closed or the server stopped answering heartbeats
+        window.secureMessaging.on('connection_lost', (data) => {
+            const reason = data.reason === 'timeout' ? 'The server stopped responding' : 'Connection to the server was lost';
+            this.showToast(reason, 'error', 5000);
+            this.addSystemMessage(`${reason}. Reconnecting...`, 'warning');
+        });
+
+        // Getting back into the room after a dropped connection
+        window.secureMessaging.on('reconnecting', (data) => {
+            this.setReconnectBanner(`Reconnecting (attempt ${data.attempt})...`);
+        });
+
+        window.secureMessaging.on('reconnected', () => {
+            this.setReconnectBanner(null);
+            this.addSystemMessage('Reconnected to the room.');
+        });
+
+        window.secureMessaging.on('reconnect_failed', (data) => {
+            this.showToast(`Could not rejoin the room: ${data.message}`, 'error', 6000);
+            this.showWelcomeScreen();
+        });
+
+        // Server ended the room when its timer ran out
+        window.secureMessaging.on('room_expired', () => {
+            this.handleRoomExpired();
+        });
+
+        // Removed from the room by its owner
+        window.secureMessaging.on('kicked', (data) => {
+            this.handleRemovedFromRoom(data);
+        });
+
+        window.secureMessaging.on('banned', (data) => {
+            this.handleRemovedFromRoom(data);
+        });
+
+        // Mutes, locks and ownership changes
+        window.secureMessaging.on('moderation_updated', () => {
+            this.updateOwnerControls();
+            if (document.getElementById('participants-modal')?.classList.contains('active')) {
+                this.renderParticipantList();
+                this.updateLockButton();
+                document.getElementById('participant-details').innerHTML =
+                    '<p class="participant-hint">Select a participant to compare safety numbers.</p>';
+            }
+        });
+
+        // Knock to join
+        window.secureMessaging.on('join_pending', () => {
+            this.setJoinWaiting(true);
+        });
+
+        window.secureMessaging.on('join_requests_updated', () => {
+            this.renderJoinRequests();
+        });
+
+        window.secureMessaging.on('invites_updated', (data) => {
+            if (data.type === 'invite_created') {
+                this.copyInviteLink(SecureMessaging.buildInviteLink(data.roomId, data.token));
+            }
+            if (document.getElementById('invite-modal')?.classList.contains('active')) {
+                this.renderInviteList();
+            }
+        });
+
+        window.secureMessaging.on('message_rejected', (data) => {
+            this.showToast(data.message, 'error', 4000);
+        });
+
+        // Server throttled us; retryAfter is in milliseconds
+        window.secureMessaging.on('rate_limited', (data) => {
+            const seconds = Math.max(1, Math.ceil(data.retryAfter / 1000));
+            this.showToast(`Slow down - try again in ${seconds} second${seconds === 1 ? '' : 's'}`, 'warning', 3000);
+        });
+
+        window.secureMessaging.on('moderation_error', (data) => {
+            this.showToast(data.message, 'error', 3000);
+        });
+
         // System messages
         window.secureMessaging.on('system_message', (data) => {
             this.addSystemMessage(data.content);
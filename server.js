@@ -1,40 +1,309 @@
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
 const express = require('express');
 const path = require('path');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Largest frame accepted: an encrypted file chunk plus its JSON envelope
+const MAX_FRAME_BYTES = 128 * 1024;
+const wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_FRAME_BYTES });
+
+// Optional path prefix, e.g. BASE_PATH=/chat behind a reverse proxy
+const BASE_PATH = (process.env.BASE_PATH || '').replace(/\/+$/, '').replace(/^(?=[^/])/, '/');
+const router = express.Router();
+app.use(BASE_PATH || '/', router);
+
+// Number of reverse proxies in front of us whose X-Forwarded-For we believe,
+// e.g. TRUST_PROXY=1 behind a single proxy. Off by default, since clients can
+// put anything in that header.
+const TRUST_PROXY = Math.max(0, parseInt(process.env.TRUST_PROXY, 10) || 0);
+if (TRUST_PROXY) {
+    app.set('trust proxy', TRUST_PROXY);
+}
+
+// Only take WebSocket upgrades under the path prefix
+server.on('upgrade', (req, socket, head) => {
+    const pathname = req.url.split('?')[0].replace(/\/+$/, '');
+    if (BASE_PATH && pathname !== BASE_PATH) {
+        socket.destroy();
+        return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+        wss.emit('connection', ws, req);
+    });
+});
+
+// Relative asset and WebSocket URLs only resolve from inside the prefix directory
+router.use((req, res, next) => {
+    const [pathname, query] = req.originalUrl.split('?');
+    if (BASE_PATH && pathname === BASE_PATH) {
+        res.redirect(301, `${BASE_PATH}/${query ? `?${query}` : ''}`);
+        return;
+    }
+    next();
+});
 
 // Serve static files from public directory
-app.use(express.static(path.join(__dirname, 'public')));
+router.use(express.static(path.join(__dirname, 'public')));
 // Store active rooms and their creators
 const rooms = new Map();
 const roomCreators = new Map();
+const roomOwners = new Map(); // roomId -> socket of the member with moderator powers
+const roomModeration = new Map(); // roomId -> { locked, banned, muted }
+const roomInvites = new Map(); // roomId -> Map of token -> { maxUses, uses, expiresAt }
+const roomJoinRequests = new Map(); // roomId -> Map of requestId -> { ws, message } awaiting the owner
+const roomHistory = new Map(); // roomId -> recent encrypted chat messages, oldest first, for rooms that keep history
+const resumeTokens = new Map(); // token -> { roomId, username, expiresAt } for rejoining after a drop
+const rejoinTokens = new Map(); // token -> { roomId, username } for coming back from a session backup
+const addressBuckets = new Map(); // remote address -> rate limit buckets shared by its sockets
+const roomVerifiers = new Map(); // Passphrase verifiers for protected rooms
+const roomSettings = new Map(); // Options chosen by the room creator
+const roomExpiry = new Map(); // roomId -> { expiresAt, timer }
+const expiredRooms = new Map(); // roomId -> time it expired, so it cannot be rejoined
 const userRooms = new Map(); // Track which rooms users are in
 
+// Room lifetimes, matching the client's auto-delete timer choices
+const DEFAULT_ROOM_TTL_MINUTES = 30;
+const MAX_ROOM_TTL_MINUTES = 120;
+
+// How long an expired room ID stays blocked from being joined or reused
+const EXPIRED_ROOM_RETENTION = 24 * 60 * 60 * 1000;
+
+// How long a dropped member may resume their place in a room
+const RESUME_TOKEN_TTL = 5 * 60 * 1000;
+
+// Largest encrypted history one member shares with another; clients trim to fit
+const MAX_HISTORY_PAYLOAD = 96 * 1024;
+
+// Rooms that keep history hold on to this many recent messages, for this long
+const MAX_HISTORY_MESSAGES = 50;
+const HISTORY_MAX_AGE = 15 * 60 * 1000;
+
+// Limits on invite links minted by room owners
+const MAX_INVITE_USES = 100;
+const DEFAULT_INVITE_MINUTES = 60;
+
+// Encrypted attachments are relayed in chunks: 10 MB in 64 KB pieces, base64 encoded
+const MAX_FILE_CHUNKS = 160;
+const MAX_FILE_CHUNK_LENGTH = 96 * 1024;
+
+// Token buckets per message category, for each socket and for each remote
+// address: up to `capacity` requests at once, refilled at `perSecond`
+const RATE_LIMITS = {
+    chat: {
+        types: ['chat_message'],
+        socket: { capacity: 20, perSecond: 2 },
+        address: { capacity: 60, perSecond: 6 }
+    },
+    create: {
+        types: ['create_room'],
+        socket: { capacity: 3, perSecond: 1 / 20 },
+        address: { capacity: 10, perSecond: 1 / 10 }
+    },
+    join: {
+        types: ['join_room'],
+        socket: { capacity: 5, perSecond: 1 / 5 },
+        address: { capacity: 20, perSecond: 1 / 2 }
+    },
+    // Chunks dropped here are resent by the client after retryAfter, so
+    // hitting this limit is routine and does not count as a strike
+    file: {
+        types: ['file_chunk'],
+        socket: { capacity: 40, perSecond: 20 },
+        address: { capacity: 120, perSecond: 60 },
+        strikes: false
+    },
+    // Key exchange, moderation and everything else
+    other: {
+        types: [],
+        socket: { capacity: 60, perSecond: 10 },
+        address: { capacity: 180, perSecond: 30 }
+    }
+};
+
+// Sockets that keep hitting the limits are disconnected
+const RATE_LIMIT_STRIKES = 10;
+const RATE_LIMIT_STRIKE_WINDOW = 60 * 1000;
+
+// Idle time after which every address bucket has refilled and can be forgotten
+const RATE_BUCKET_IDLE = 10 * 60 * 1000;
+
+// Sockets that miss a whole heartbeat interval without answering a ping are dropped
+const HEARTBEAT_INTERVAL = Number(process.env.HEARTBEAT_INTERVAL) || 30000;
+
+// Field rules shared by the message schemas below
+const ROOM_ID = { type: 'string', pattern: /^[0-9A-F]{12}$/ };
+const USERNAME = { type: 'string', maxLength: 20, pattern: /^[\p{L}\p{N}_.'-]+(?: [\p{L}\p{N}_.'-]+)*$/u };
+const BASE64 = maxLength => ({ type: 'string', maxLength, pattern: /^[A-Za-z0-9+/]*={0,2}$/ });
+const HEX = maxLength => ({ type: 'string', maxLength, pattern: /^[0-9a-f]*$/ });
+
+const ENVELOPE_FIELDS = {
+    v: { type: 'integer', required: true, min: 1, max: 255 },
+    scheme: { type: 'string', required: true, enum: ['room', 'sender'] },
+    keyId: { ...HEX(32), required: true },
+    counter: { type: 'integer', required: true, min: 0 },
+    roomId: { ...ROOM_ID, required: true },
+    ciphertext: { ...BASE64(64 * 1024), required: true }
+};
+
+// Every inbound message type with the fields it may carry. Anything not
+// listed is stripped before the message reaches a handler.
+const MESSAGE_SCHEMAS = {
+    create_room: {
+        roomId: { ...ROOM_ID, required: true },
+        username: { ...USERNAME, required: true },
+        autoDeleteMinutes: { type: 'integer' },
+        signingKey: BASE64(256),
+        verifier: HEX(64),
+        settings: {
+            type: 'object',
+            fields: {
+                coverTraffic: { type: 'boolean' },
+                inviteOnly: { type: 'boolean' },
+                knockToJoin: { type: 'boolean' },
+                history: { type: 'boolean' },
+                historySync: { type: 'boolean' }
+            }
+        }
+    },
+    join_room: {
+        roomId: { ...ROOM_ID, required: true },
+        username: { ...USERNAME, required: true },
+        signingKey: BASE64(256),
+        verifier: HEX(64),
+        invite: HEX(32),
+        resumeToken: HEX(32),
+        rejoinToken: HEX(32)
+    },
+    chat_message: {
+        roomId: { ...ROOM_ID, required: true },
+        clientId: HEX(32),
+        message: {
+            type: 'object',
+            required: true,
+            fields: {
+                type: { type: 'string', required: true, enum: ['message', 'attachment'] },
+                content: { type: ['string', 'object'], required: true, maxLength: 8192, fields: ENVELOPE_FIELDS },
+                encrypted: { type: 'boolean' },
+                author: USERNAME,
+                timestamp: { type: 'integer', min: 0 },
+                signature: BASE64(256),
+                clientId: HEX(32)
+            }
+        },
+        historyCopy: { type: 'object', fields: ENVELOPE_FIELDS }
+    },
+    leave_room: {
+        roomId: ROOM_ID
+    },
+    key_offer: {
+        roomId: { ...ROOM_ID, required: true },
+        publicKey: { ...BASE64(1024), required: true }
+    },
+    key_answer: {
+        roomId: { ...ROOM_ID, required: true },
+        to: { ...USERNAME, required: true },
+        publicKey: { ...BASE64(1024), required: true }
+    },
+    sender_key: {
+        roomId: { ...ROOM_ID, required: true },
+        to: { ...USERNAME, required: true },
+        epoch: { type: 'integer', required: true, min: 0 },
+        key: { ...BASE64(1024), required: true }
+    },
+    history_request: {
+        roomId: { ...ROOM_ID, required: true },
+        to: { ...USERNAME, required: true }
+    },
+    history_response: {
+        roomId: { ...ROOM_ID, required: true },
+        to: { ...USERNAME, required: true },
+        payload: { ...BASE64(MAX_HISTORY_PAYLOAD), required: true }
+    },
+    file_chunk: {
+        roomId: { ...ROOM_ID, required: true },
+        fileId: { ...HEX(32), required: true },
+        index: { type: 'integer', required: true, min: 0 },
+        total: { type: 'integer', required: true, min: 1 },
+        data: { ...BASE64(MAX_FILE_CHUNK_LENGTH), required: true }
+    },
+    kick_user: {
+        roomId: { ...ROOM_ID, required: true },
+        username: { ...USERNAME, required: true }
+    },
+    ban_user: {
+        roomId: { ...ROOM_ID, required: true },
+        username: { ...USERNAME, required: true }
+    },
+    mute_user: {
+        roomId: { ...ROOM_ID, required: true },
+        username: { ...USERNAME, required: true },
+        muted: { type: 'boolean' }
+    },
+    lock_room: {
+        roomId: { ...ROOM_ID, required: true },
+        locked: { type: 'boolean' }
+    },
+    transfer_ownership: {
+        roomId: { ...ROOM_ID, required: true },
+        username: { ...USERNAME, required: true }
+    },
+    join_decision: {
+        roomId: { ...ROOM_ID, required: true },
+        requestId: { ...HEX(16), required: true },
+        approved: { type: 'boolean', required: true }
+    },
+    create_invite: {
+        roomId: { ...ROOM_ID, required: true },
+        maxUses: { type: 'integer' },
+        expiresInMinutes: { type: 'integer' }
+    },
+    revoke_invite: {
+        roomId: { ...ROOM_ID, required: true },
+        token: { ...HEX(32), required: true }
+    },
+    ping: {}
+};
+
 // Serve the main page
-app.get('/', (req, res) => {
+router.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
     console.log('🔥 New user connected');
+    ws.ip = getClientAddress(req);
+    ws.rateBuckets = {};
+    ws.rateStrikes = [];
+    ws.isAlive = true;
+
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
     
     ws.on('message', (data) => {
+        ws.isAlive = true;
         try {
             const message = JSON.parse(data);
-            console.log('📨 Received:', message.type, 'for room:', message.roomId);
-            handleMessage(ws, message);
+            console.log('📨 Received:', message && message.type, 'for room:', message && message.roomId);
+            if (!checkRateLimit(ws, message || {})) {
+                return;
+            }
+
+            const validation = validateMessage(message);
+            if (validation.error) {
+                console.warn(`⚠️ Rejected ${message && message.type}: ${validation.error}`);
+                rejectInvalidMessage(ws, message, validation.error);
+                return;
+            }
+            handleMessage(ws, validation.message);
         } catch (error) {
             console.error('❌ Error parsing message:', error);
             // Send error back to client
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Invalid message format',
-                timestamp: Date.now()
-            }));
+            rejectInvalidMessage(ws, null, 'Invalid message format');
         }
     });
     
@@ -48,6 +317,25 @@ wss.on('connection', (ws) => {
     });
 });
 
+// Ping every socket; any that stayed silent since the last round is terminated
+const heartbeatInterval = setInterval(() => {
+    wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+            console.log(`💀 Terminating unresponsive connection in room: ${ws.roomId}`);
+            ws.timedOut = true;
+            ws.terminate();
+            return;
+        }
+
+        ws.isAlive = false;
+        ws.ping();
+    });
+}, HEARTBEAT_INTERVAL);
+
+wss.on('close', () => {
+    clearInterval(heartbeatInterval);
+});
+
 function handleMessage(ws, message) {
     switch (message.type) {
         case 'create_room':
@@ -66,6 +354,56 @@ function handleMessage(ws, message) {
             handleLeaveRoom(ws, message);
             break;
             
+        case 'key_offer':
+            handleKeyOffer(ws, message);
+            break;
+            
+        case 'key_answer':
+            handleKeyAnswer(ws, message);
+            break;
+            
+        case 'sender_key':
+            handleSenderKey(ws, message);
+            break;
+            
+        case 'file_chunk':
+            handleFileChunk(ws, message);
+            break;
+            
+        case 'kick_user':
+        case 'ban_user':
+            handleRemoveUser(ws, message);
+            break;
+            
+        case 'mute_user':
+            handleMuteUser(ws, message);
+            break;
+            
+        case 'lock_room':
+            handleLockRoom(ws, message);
+            break;
+            
+        case 'transfer_ownership':
+            handleTransferOwnership(ws, message);
+            break;
+            
+        case 'join_decision':
+            handleJoinDecision(ws, message);
+            break;
+            
+        case 'create_invite':
+            handleCreateInvite(ws, message);
+            break;
+            
+        case 'revoke_invite':
+            handleRevokeInvite(ws, message);
+            break;
+            
+        case 'history_request':
+        case 'history_response':
+            handleHistorySync(ws, message);
+            break;
+
         case 'ping':
             // Handle ping for connection health check
             ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
@@ -73,16 +411,15 @@ function handleMessage(ws, message) {
             
         default:
             console.warn('⚠️ Unknown message type:', message.type);
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Unknown message type',
-                timestamp: Date.now()
-            }));
+            rejectInvalidMessage(ws, message, 'Unknown message type');
     }
 }
 
 function handleCreateRoom(ws, message) {
-    const { roomId, username } = message;
+    const { roomId, username, signingKey, verifier, settings } = message;
+    const autoDeleteMinutes = message.autoDeleteMinutes === undefined ?
+        DEFAULT_ROOM_TTL_MINUTES :
+        message.autoDeleteMinutes;
     
     if (!roomId || !username) {
         ws.send(JSON.stringify({
@@ -94,12 +431,44 @@ function handleCreateRoom(ws, message) {
         return;
     }
 
-    // Create room if it doesn't exist
-    if (!rooms.has(roomId)) {
-        rooms.set(roomId, new Set());
-        roomCreators.set(roomId, username);
-        console.log(`🏗️ Created new room: ${roomId} by ${username}`);
+    if (!Number.isInteger(autoDeleteMinutes) || autoDeleteMinutes < 1 || autoDeleteMinutes > MAX_ROOM_TTL_MINUTES) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: `Auto-delete timer must be between 1 and ${MAX_ROOM_TTL_MINUTES} minutes`,
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    // Existing rooms must be entered through join_room and its checks
+    if (rooms.has(roomId) || expiredRooms.has(roomId)) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Room already exists',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        console.log(`❌ Tried to create existing room: ${roomId}`);
+        return;
+    }
+
+    cancelJoinRequest(ws);
+    rooms.set(roomId, new Set());
+    roomCreators.set(roomId, username);
+    roomOwners.set(roomId, ws);
+    roomModeration.set(roomId, { locked: false, banned: new Set(), muted: new Set() });
+    roomInvites.set(roomId, new Map());
+    roomJoinRequests.set(roomId, new Map());
+    roomSettings.set(roomId, normalizeRoomSettings(settings, !!verifier));
+    if (roomSettings.get(roomId).history) {
+        roomHistory.set(roomId, []);
+    }
+    scheduleRoomExpiry(roomId, Date.now() + autoDeleteMinutes * 60 * 1000);
+    if (verifier) {
+        roomVerifiers.set(roomId, verifier);
     }
+    console.log(`🏗️ Created new ${verifier ? 'passphrase-protected ' : ''}room: ${roomId} by ${username}`);
 
     // Remove user from any previous rooms
     if (userRooms.has(ws)) {
@@ -107,6 +476,7 @@ function handleCreateRoom(ws, message) {
         if (rooms.has(previousRoomId)) {
             rooms.get(previousRoomId).delete(ws);
             console.log(`👤 User ${username} left previous room: ${previousRoomId}`);
+            handOffOwnership(previousRoomId, ws);
             
             // Notify others in previous room
             broadcastToRoom(previousRoomId, {
@@ -123,6 +493,7 @@ function handleCreateRoom(ws, message) {
     userRooms.set(ws, roomId);
     ws.roomId = roomId;
     ws.username = username;
+    ws.signingKey = signingKey || null;
 
     // Send success confirmation to creator
     ws.send(JSON.stringify({
@@ -130,6 +501,10 @@ function handleCreateRoom(ws, message) {
         roomId: roomId,
         username: username,
         timestamp: Date.now(),
+        expiresAt: roomExpiry.get(roomId).expiresAt,
+        resumeToken: issueResumeToken(ws),
+        rejoinToken: issueRejoinToken(ws),
+        settings: roomSettings.get(roomId),
         message: 'Room created successfully'
     }));
 
@@ -140,13 +515,14 @@ function handleCreateRoom(ws, message) {
         type: 'user_joined',
         roomId: roomId,
         username: username,
+        signingKey: ws.signingKey,
         timestamp: Date.now(),
         isCreator: true
     }, ws);
 }
 
 function handleJoinRoom(ws, message) {
-    const { roomId, username } = message;
+    const { roomId, username, signingKey, verifier, invite, resumeToken, rejoinToken } = message;
     
     if (!roomId || !username) {
         ws.send(JSON.stringify({
@@ -158,6 +534,21 @@ function handleJoinRoom(ws, message) {
         return;
     }
 
+    // A socket only ever waits on one room
+    cancelJoinRequest(ws);
+
+    // Expired rooms stay closed, even if their ID is still known
+    if (expiredRooms.has(roomId)) {
+        ws.send(JSON.stringify({
+            type: 'join_error',
+            message: 'Room has expired',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        console.log(`❌ User tried to join expired room: ${roomId}`);
+        return;
+    }
+
     // Check if room exists
     if (!rooms.has(roomId)) {
         ws.send(JSON.stringify({
@@ -170,10 +561,70 @@ function handleJoinRoom(ws, message) {
         return;
     }
 
+    // A resume token brings a dropped member back under the same name,
+    // without going through locks, invites or the owner again
+    const resuming = isResumeTokenFor(resumeToken, roomId, username);
+    // A rejoin token, kept in session backups, stands in for the invite the
+    // member first came in with
+    const rejoining = !resuming && isRejoinTokenFor(rejoinToken, roomId, username);
+
+    // Banned connections and locked rooms are turned away before anything else
+    const moderation = roomModeration.get(roomId);
+    const identities = getConnectionIdentities(ws, signingKey);
+    if (identities.some(identity => moderation.banned.has(identity))) {
+        ws.send(JSON.stringify({
+            type: 'join_error',
+            message: 'You are banned from this room',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        console.log(`❌ Banned user tried to join room: ${roomId}`);
+        return;
+    }
+
+    if (moderation.locked && !resuming) {
+        ws.send(JSON.stringify({
+            type: 'join_error',
+            message: 'Room is locked',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        console.log(`❌ User tried to join locked room: ${roomId}`);
+        return;
+    }
+
+    // Invite-only rooms need a live invite; the use is only spent once the join succeeds
+    const inviteError = roomSettings.get(roomId).inviteOnly && !resuming && !rejoining ? checkInvite(roomId, invite) : null;
+    if (inviteError) {
+        ws.send(JSON.stringify({
+            type: 'join_error',
+            message: inviteError,
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        console.log(`❌ Invite check failed for room: ${roomId}`);
+        return;
+    }
+
+    // Check the passphrase verifier for protected rooms
+    if (roomVerifiers.has(roomId) && !verifierMatches(roomVerifiers.get(roomId), verifier)) {
+        ws.send(JSON.stringify({
+            type: 'join_error',
+            message: verifier ? 'Incorrect room passphrase' : 'This room requires a passphrase',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        console.log(`❌ Passphrase check failed for room: ${roomId}`);
+        return;
+    }
+
     // Check if username is already in use in this room
     const room = rooms.get(roomId);
     for (const client of room) {
-        if (client.username === username && client !== ws) {
+        if (client.username === username && client !== ws && resuming && client.resumeToken === resumeToken) {
+            // Our own half-open socket from before the drop
+            evictStaleConnection(roomId, client);
+        } else if (client.username === username && client !== ws) {
             ws.send(JSON.stringify({
                 type: 'join_error',
                 message: 'Username already taken in this room',
@@ -185,12 +636,40 @@ function handleJoinRoom(ws, message) {
         }
     }
 
+    // Knock-to-join rooms wait for their owner to let each newcomer in. With
+    // nobody in the room the request waits for whoever comes back to own it.
+    if (roomSettings.get(roomId).knockToJoin && ws.approvedJoin !== roomId && !resuming) {
+        requestJoinApproval(ws, message);
+        return;
+    }
+
+    if (resuming) {
+        resumeTokens.delete(resumeToken);
+        console.log(`🔁 ${username} resumed their place in room: ${roomId}`);
+    }
+    admitToRoom(ws, message, resuming, rejoining);
+
+    if (resuming && roomOwners.get(roomId) === ws) {
+        roomJoinRequests.get(roomId).forEach((pending, requestId) => {
+            sendJoinRequest(roomId, requestId, pending.message.username);
+        });
+    }
+}
+
+/**
+ * Put a socket that passed every join check into the room
+ */
+function admitToRoom(ws, message, resumed = false, rejoined = false) {
+    const { roomId, username, signingKey, invite } = message;
+    const room = rooms.get(roomId);
+
     // Remove user from any previous rooms
     if (userRooms.has(ws)) {
         const previousRoomId = userRooms.get(ws);
         if (rooms.has(previousRoomId) && previousRoomId !== roomId) {
             rooms.get(previousRoomId).delete(ws);
             console.log(`👤 User ${username} left previous room: ${previousRoomId}`);
+            handOffOwnership(previousRoomId, ws);
             
             broadcastToRoom(previousRoomId, {
                 type: 'user_left',
@@ -201,11 +680,19 @@ function handleJoinRoom(ws, message) {
         }
     }
 
-    // Add user to the room
+    if (roomSettings.get(roomId).inviteOnly && !resumed && !rejoined) {
+        useInvite(roomId, invite);
+    }
+
+    // Add user to the room, handing it to them if its owner has already gone
     room.add(ws);
+    if (!roomOwners.has(roomId)) {
+        roomOwners.set(roomId, ws);
+    }
     userRooms.set(ws, roomId);
     ws.roomId = roomId;
     ws.username = username;
+    ws.signingKey = signingKey || null;
 
     // Send IMMEDIATE success confirmation to joining user
     ws.send(JSON.stringify({
@@ -214,7 +701,23 @@ function handleJoinRoom(ws, message) {
         username: username,
         timestamp: Date.now(),
         message: 'Successfully joined room',
-        participantCount: room.size
+        participantCount: room.size,
+        resumed: resumed,
+        resumeToken: issueResumeToken(ws),
+        rejoinToken: issueRejoinToken(ws, message.rejoinToken),
+        settings: roomSettings.get(roomId),
+        expiresAt: roomExpiry.get(roomId).expiresAt,
+        owner: roomOwners.get(roomId).username,
+        locked: roomModeration.get(roomId).locked,
+        // Signing keys published by everyone already in the room
+        participants: Array.from(room)
+            .filter(client => client !== ws)
+            .map(client => ({
+                username: client.username,
+                signingKey: client.signingKey,
+                muted: isMuted(roomId, client)
+            })),
+        muted: isMuted(roomId, ws)
     }));
 
     console.log(`👤 User ${username} joined room: ${roomId} (${room.size} participants)`);
@@ -224,13 +727,18 @@ function handleJoinRoom(ws, message) {
         type: 'user_joined',
         roomId: roomId,
         username: username,
+        signingKey: ws.signingKey,
         timestamp: Date.now(),
-        participantCount: room.size
+        participantCount: room.size,
+        muted: isMuted(roomId, ws),
+        resumed: resumed
     }, ws);
+
+    sendHistory(ws, roomId);
 }
 
 function handleChatMessage(ws, message) {
-    const { roomId, message: chatMessage } = message;
+    const { roomId, clientId, historyCopy, message: chatMessage } = message;
     
     if (!roomId || !chatMessage) {
         ws.send(JSON.stringify({
@@ -252,14 +760,27 @@ function handleChatMessage(ws, message) {
         return;
     }
 
-    // Add server timestamp and user info to message
+    if (isMuted(roomId, ws)) {
+        ws.send(JSON.stringify({
+            type: 'moderation_error',
+            message: 'You have been muted by the room owner',
+            roomId: roomId,
+            clientId: clientId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    // Add server ID, timestamp and user info to message
     const enhancedMessage = {
         ...chatMessage,
+        serverId: crypto.randomBytes(8).toString('hex'),
         serverTimestamp: Date.now(),
         roomId: roomId
     };
 
-    console.log(`💬 Message in room ${roomId} from ${chatMessage.author}`);
+    // Authors are sealed inside encrypted messages, so none is logged here
+    console.log(`💬 Message in room ${roomId}`);
 
     // Broadcast message to everyone in the room (except sender)
     broadcastToRoom(roomId, {
@@ -268,100 +789,1111 @@ function handleChatMessage(ws, message) {
         message: enhancedMessage,
         timestamp: Date.now()
     }, ws);
-}
-
-function handleLeaveRoom(ws, message) {
-    const roomId = message.roomId || ws.roomId;
-    
-    if (roomId && rooms.has(roomId)) {
-        const room = rooms.get(roomId);
-        const username = ws.username;
-        
-        room.delete(ws);
-        userRooms.delete(ws);
-        
-        console.log(`👋 User ${username} left room: ${roomId}`);
 
-        // Notify others in the room
-        broadcastToRoom(roomId, {
-            type: 'user_left',
-            roomId: roomId,
-            username: username,
-            timestamp: Date.now(),
-            participantCount: room.size
+    // Only the copy sealed under the room passphrase is kept, so people who
+    // join later can read it. Cover traffic and attachments carry no copy.
+    if (roomHistory.has(roomId) && historyCopy && enhancedMessage.type === 'message') {
+        recordHistory(roomId, {
+            type: enhancedMessage.type,
+            content: historyCopy,
+            encrypted: true,
+            serverId: enhancedMessage.serverId,
+            serverTimestamp: enhancedMessage.serverTimestamp,
+            roomId: roomId
         });
+    }
 
-        // Clear user's room info
-        ws.roomId = null;
-        ws.username = null;
-
-        // Send leave confirmation
+    // Let the sender take the message out of its outbox
+    if (clientId) {
         ws.send(JSON.stringify({
-            type: 'leave_success',
+            type: 'message_ack',
             roomId: roomId,
-            timestamp: Date.now(),
-            message: 'Left room successfully'
+            clientId: clientId,
+            serverId: enhancedMessage.serverId,
+            serverTimestamp: enhancedMessage.serverTimestamp,
+            timestamp: Date.now()
         }));
     }
 }
 
-function handleUserDisconnect(ws) {
-    const roomId = ws.roomId;
-    const username = ws.username;
+function handleKeyOffer(ws, message) {
+    const { roomId, publicKey } = message;
     
-    if (roomId && rooms.has(roomId)) {
-        const room = rooms.get(roomId);
-        room.delete(ws);
-        userRooms.delete(ws);
-        
-        console.log(`👤 User ${username} disconnected from room: ${roomId}`);
+    if (!roomId || !publicKey) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Room ID and public key are required',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
 
-        // Notify others in the room
-        if (username) {
-            broadcastToRoom(roomId, {
-                type: 'user_left',
-                roomId: roomId,
-                username: username,
-                timestamp: Date.now(),
-                participantCount: room.size,
-                reason: 'disconnected'
-            });
-        }
+    if (!rooms.has(roomId) || !rooms.get(roomId).has(ws)) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'You are not in this room',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
     }
+
+    console.log(`🔑 Key offer in room ${roomId} from ${ws.username}`);
+
+    // Offer our public key to everyone else in the room
+    broadcastToRoom(roomId, {
+        type: 'key_offer',
+        roomId: roomId,
+        from: ws.username,
+        publicKey: publicKey,
+        timestamp: Date.now()
+    }, ws);
 }
 
-function broadcastToRoom(roomId, message, excludeWs = null) {
-    if (rooms.has(roomId)) {
-        const room = rooms.get(roomId);
-        console.log(`📢 Broadcasting to ${room.size} users in room ${roomId}: ${message.type}`);
-        
-        let deliveredCount = 0;
-        room.forEach(client => {
-            if (client !== excludeWs && client.readyState === WebSocket.OPEN) {
-                try {
-                    client.send(JSON.stringify(message));
-                    deliveredCount++;
-                } catch (error) {
-                    console.error('❌ Error sending message to client:', error);
-                    // Remove broken connection
-                    room.delete(client);
-                    userRooms.delete(client);
-                }
-            }
-        });
-        console.log(`📤 Delivered to ${deliveredCount} users`);
+function handleKeyAnswer(ws, message) {
+    const { roomId, to, publicKey } = message;
+    
+    if (!roomId || !to || !publicKey) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Room ID, recipient and public key are required',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
     }
-}
 
-// Get server status
-app.get('/status', (req, res) => {
+    if (!rooms.has(roomId) || !rooms.get(roomId).has(ws)) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'You are not in this room',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    console.log(`🔑 Key answer in room ${roomId} from ${ws.username} to ${to}`);
+
+    // Answer only goes back to the participant who made the offer
+    const delivered = sendToUser(roomId, to, {
+        type: 'key_answer',
+        roomId: roomId,
+        from: ws.username,
+        publicKey: publicKey,
+        timestamp: Date.now()
+    });
+
+    if (!delivered) {
+        console.warn(`⚠️ Key answer recipient ${to} not found in room: ${roomId}`);
+    }
+}
+
+function handleSenderKey(ws, message) {
+    const { roomId, to, epoch, key } = message;
+    
+    if (!roomId || !to || !key || !Number.isInteger(epoch)) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Room ID, recipient, key and epoch are required',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    if (!rooms.has(roomId) || !rooms.get(roomId).has(ws)) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'You are not in this room',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    console.log(`🔑 Sender key in room ${roomId} from ${ws.username} to ${to}`);
+
+    // Sender keys are wrapped per recipient, so each copy goes to one participant
+    const delivered = sendToUser(roomId, to, {
+        type: 'sender_key',
+        roomId: roomId,
+        from: ws.username,
+        epoch: epoch,
+        key: key,
+        timestamp: Date.now()
+    });
+
+    if (!delivered) {
+        console.warn(`⚠️ Sender key recipient ${to} not found in room: ${roomId}`);
+    }
+}
+
+function handleHistorySync(ws, message) {
+    const { roomId, to, payload } = message;
+
+    if (!rooms.has(roomId) || !rooms.get(roomId).has(ws)) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'You are not in this room',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    if (!roomSettings.get(roomId).historySync) {
+        console.warn(`⚠️ History sync is disabled in room: ${roomId}`);
+        return;
+    }
+
+    // Responses are encrypted for the one member who asked
+    const delivered = sendToUser(roomId, to, {
+        type: message.type,
+        roomId: roomId,
+        from: ws.username,
+        ...(payload ? { payload } : {}),
+        timestamp: Date.now()
+    });
+
+    if (!delivered) {
+        console.warn(`⚠️ History sync recipient ${to} not found in room: ${roomId}`);
+    }
+}
+
+function handleFileChunk(ws, message) {
+    const { roomId, fileId, index, total, data } = message;
+
+    if (!roomId || !fileId || typeof data !== 'string' ||
+        !Number.isInteger(index) || !Number.isInteger(total) || index < 0 || index >= total) {
+        ws.send(JSON.stringify({
+            type: 'file_error',
+            message: 'Room ID, file ID, chunk index, chunk count and data are required',
+            roomId: roomId,
+            fileId: fileId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    if (!rooms.has(roomId) || !rooms.get(roomId).has(ws)) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'You are not in this room',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    if (total > MAX_FILE_CHUNKS || data.length > MAX_FILE_CHUNK_LENGTH) {
+        ws.send(JSON.stringify({
+            type: 'file_error',
+            message: 'File is too large',
+            roomId: roomId,
+            fileId: fileId,
+            timestamp: Date.now()
+        }));
+        console.log(`❌ Oversized file chunk rejected in room: ${roomId}`);
+        return;
+    }
+
+    // Chunks are encrypted with a key only the participants know
+    broadcastToRoom(roomId, {
+        type: 'file_chunk',
+        roomId: roomId,
+        fileId: fileId,
+        index: index,
+        total: total,
+        data: data,
+        timestamp: Date.now()
+    }, ws);
+
+    // Acknowledge once relayed so the sender can push the next chunk
+    ws.send(JSON.stringify({
+        type: 'file_chunk_ack',
+        roomId: roomId,
+        fileId: fileId,
+        index: index,
+        timestamp: Date.now()
+    }));
+}
+
+function handleRemoveUser(ws, message) {
+    const target = getModerationTarget(ws, message);
+    if (!target) {
+        return;
+    }
+
+    const { roomId } = message;
+    const reason = message.type === 'ban_user' ? 'banned' : 'kicked';
+
+    if (reason === 'banned') {
+        // Remember both the address and the signing key, so neither a new
+        // key nor a new address alone is enough to get back in
+        const banned = roomModeration.get(roomId).banned;
+        getConnectionIdentities(target, target.signingKey).forEach(identity => banned.add(identity));
+    }
+
+    rooms.get(roomId).delete(target);
+    userRooms.delete(target);
+    revokeResumeToken(target);
+    revokeRejoinToken(target);
+    target.roomId = null;
+
+    console.log(`🔨 User ${target.username} ${reason} from room: ${roomId}`);
+
+    target.send(JSON.stringify({
+        type: reason,
+        roomId: roomId,
+        timestamp: Date.now(),
+        message: reason === 'banned' ? 'You have been banned from this room' : 'You have been removed from this room'
+    }));
+
+    broadcastToRoom(roomId, {
+        type: 'user_left',
+        roomId: roomId,
+        username: target.username,
+        timestamp: Date.now(),
+        participantCount: rooms.get(roomId).size,
+        reason: reason
+    });
+    target.username = null;
+}
+
+function handleMuteUser(ws, message) {
+    const target = getModerationTarget(ws, message);
+    if (!target) {
+        return;
+    }
+
+    const { roomId } = message;
+    const muted = message.muted !== false;
+    // Like bans, a mute holds both the signing key and the address, so
+    // rejoining with a fresh key does not lift it
+    const identities = getConnectionIdentities(target, target.signingKey);
+    const mutedIdentities = roomModeration.get(roomId).muted;
+
+    identities.forEach(identity => {
+        if (muted) {
+            mutedIdentities.add(identity);
+        } else {
+            mutedIdentities.delete(identity);
+        }
+    });
+
+    console.log(`🔇 User ${target.username} ${muted ? 'muted' : 'unmuted'} in room: ${roomId}`);
+
+    broadcastToRoom(roomId, {
+        type: 'user_muted',
+        roomId: roomId,
+        username: target.username,
+        muted: muted,
+        timestamp: Date.now()
+    });
+}
+
+function handleLockRoom(ws, message) {
+    const { roomId } = message;
+    if (!requireRoomOwner(ws, roomId)) {
+        return;
+    }
+
+    const locked = message.locked !== false;
+    roomModeration.get(roomId).locked = locked;
+
+    console.log(`🔒 Room ${roomId} ${locked ? 'locked' : 'unlocked'}`);
+
+    broadcastToRoom(roomId, {
+        type: 'room_locked',
+        roomId: roomId,
+        locked: locked,
+        timestamp: Date.now()
+    });
+}
+
+function handleTransferOwnership(ws, message) {
+    const target = getModerationTarget(ws, message);
+    if (!target) {
+        return;
+    }
+
+    setRoomOwner(message.roomId, target);
+}
+
+function handleJoinDecision(ws, message) {
+    const { roomId, requestId } = message;
+    if (!requireRoomOwner(ws, roomId)) {
+        return;
+    }
+
+    const pending = roomJoinRequests.get(roomId).get(requestId);
+    if (!pending) {
+        ws.send(JSON.stringify({
+            type: 'moderation_error',
+            message: 'That join request is no longer waiting',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    roomJoinRequests.get(roomId).delete(requestId);
+    pending.ws.pendingJoin = null;
+
+    if (pending.ws.readyState !== WebSocket.OPEN) {
+        return;
+    }
+
+    if (message.approved === true) {
+        // Run the join again so bans, locks and names picked since still apply
+        console.log(`✅ Join request for ${pending.message.username} approved in room: ${roomId}`);
+        pending.ws.approvedJoin = roomId;
+        handleJoinRoom(pending.ws, pending.message);
+        pending.ws.approvedJoin = null;
+    } else {
+        console.log(`🚫 Join request for ${pending.message.username} declined in room: ${roomId}`);
+        pending.ws.send(JSON.stringify({
+            type: 'join_error',
+            message: 'The room owner declined your request to join',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+    }
+}
+
+function handleCreateInvite(ws, message) {
+    const { roomId } = message;
+    if (!requireRoomOwner(ws, roomId)) {
+        return;
+    }
+
+    const maxUses = message.maxUses === undefined ? 1 : message.maxUses;
+    const minutes = message.expiresInMinutes === undefined ? DEFAULT_INVITE_MINUTES : message.expiresInMinutes;
+
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES ||
+        !Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ROOM_TTL_MINUTES) {
+        ws.send(JSON.stringify({
+            type: 'moderation_error',
+            message: `Invites allow 1 to ${MAX_INVITE_USES} uses and last 1 to ${MAX_ROOM_TTL_MINUTES} minutes`,
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+
+    // No invite outlives its room
+    const token = crypto.randomBytes(16).toString('hex');
+    const invite = {
+        maxUses,
+        uses: 0,
+        expiresAt: Math.min(Date.now() + minutes * 60 * 1000, roomExpiry.get(roomId).expiresAt)
+    };
+    roomInvites.get(roomId).set(token, invite);
+
+    console.log(`🎟️ Invite created for room ${roomId} (${maxUses} uses)`);
+
+    ws.send(JSON.stringify({
+        type: 'invite_created',
+        roomId: roomId,
+        token: token,
+        ...invite,
+        timestamp: Date.now()
+    }));
+}
+
+function handleRevokeInvite(ws, message) {
+    const { roomId, token } = message;
+    if (!requireRoomOwner(ws, roomId)) {
+        return;
+    }
+
+    roomInvites.get(roomId).delete(token);
+    console.log(`🎟️ Invite revoked for room ${roomId}`);
+
+    ws.send(JSON.stringify({
+        type: 'invite_revoked',
+        roomId: roomId,
+        token: token,
+        timestamp: Date.now()
+    }));
+}
+
+function handleLeaveRoom(ws, message) {
+    const roomId = message.roomId || ws.roomId;
+
+    // Leaving while still waiting withdraws the join request
+    if (ws.pendingJoin && ws.pendingJoin.roomId === roomId && cancelJoinRequest(ws)) {
+        ws.send(JSON.stringify({
+            type: 'join_error',
+            message: 'Join request cancelled',
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return;
+    }
+    
+    if (roomId && rooms.has(roomId)) {
+        const room = rooms.get(roomId);
+        const username = ws.username;
+        
+        room.delete(ws);
+        userRooms.delete(ws);
+        
+        console.log(`👋 User ${username} left room: ${roomId}`);
+        revokeResumeToken(ws);
+        revokeRejoinToken(ws);
+        handOffOwnership(roomId, ws);
+
+        // Notify others in the room
+        broadcastToRoom(roomId, {
+            type: 'user_left',
+            roomId: roomId,
+            username: username,
+            timestamp: Date.now(),
+            participantCount: room.size
+        });
+
+        // Clear user's room info
+        ws.roomId = null;
+        ws.username = null;
+
+        // Send leave confirmation
+        ws.send(JSON.stringify({
+            type: 'leave_success',
+            roomId: roomId,
+            timestamp: Date.now(),
+            message: 'Left room successfully'
+        }));
+    }
+}
+
+function handleUserDisconnect(ws) {
+    const roomId = ws.roomId;
+    const username = ws.username;
+
+    cancelJoinRequest(ws);
+    
+    if (roomId && rooms.has(roomId)) {
+        const room = rooms.get(roomId);
+        room.delete(ws);
+        userRooms.delete(ws);
+        
+        console.log(`👤 User ${username} disconnected from room: ${roomId}`);
+        handOffOwnership(roomId, ws);
+
+        // Hold the place open for a while in case the client comes back
+        if (resumeTokens.has(ws.resumeToken)) {
+            resumeTokens.get(ws.resumeToken).expiresAt = Date.now() + RESUME_TOKEN_TTL;
+        }
+
+        // Notify others in the room
+        if (username) {
+            broadcastToRoom(roomId, {
+                type: 'user_left',
+                roomId: roomId,
+                username: username,
+                timestamp: Date.now(),
+                participantCount: room.size,
+                reason: ws.timedOut ? 'timeout' : 'disconnected'
+            });
+        }
+    }
+}
+
+function broadcastToRoom(roomId, message, excludeWs = null) {
+    if (rooms.has(roomId)) {
+        const room = rooms.get(roomId);
+        console.log(`📢 Broadcasting to ${room.size} users in room ${roomId}: ${message.type}`);
+        
+        let deliveredCount = 0;
+        room.forEach(client => {
+            if (client !== excludeWs && client.readyState === WebSocket.OPEN) {
+                try {
+                    client.send(JSON.stringify(message));
+                    deliveredCount++;
+                } catch (error) {
+                    console.error('❌ Error sending message to client:', error);
+                    // Remove broken connection
+                    room.delete(client);
+                    userRooms.delete(client);
+                }
+            }
+        });
+        console.log(`📤 Delivered to ${deliveredCount} users`);
+    }
+}
+
+function verifierMatches(expected, provided) {
+    if (typeof provided !== 'string' || provided.length !== expected.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
+}
+
+function deleteRoom(roomId) {
+    // Nobody is left to answer anyone still waiting to get in
+    if (roomJoinRequests.has(roomId)) {
+        roomJoinRequests.get(roomId).forEach(pending => {
+            pending.ws.pendingJoin = null;
+            if (pending.ws.readyState === WebSocket.OPEN) {
+                pending.ws.send(JSON.stringify({
+                    type: 'join_error',
+                    message: 'Room has closed',
+                    roomId: roomId,
+                    timestamp: Date.now()
+                }));
+            }
+        });
+        roomJoinRequests.delete(roomId);
+    }
+
+    rooms.delete(roomId);
+    roomCreators.delete(roomId);
+    roomOwners.delete(roomId);
+    roomModeration.delete(roomId);
+    roomInvites.delete(roomId);
+    roomVerifiers.delete(roomId);
+    roomSettings.delete(roomId);
+    roomHistory.delete(roomId);
+
+    if (roomExpiry.has(roomId)) {
+        clearTimeout(roomExpiry.get(roomId).timer);
+        roomExpiry.delete(roomId);
+    }
+}
+
+function scheduleRoomExpiry(roomId, expiresAt) {
+    const timer = setTimeout(() => expireRoom(roomId), expiresAt - Date.now());
+    roomExpiry.set(roomId, { expiresAt, timer });
+}
+
+function expireRoom(roomId) {
+    const room = rooms.get(roomId);
+    console.log(`⏰ Room expired: ${roomId}`);
+
+    broadcastToRoom(roomId, {
+        type: 'room_expired',
+        roomId: roomId,
+        timestamp: Date.now()
+    });
+
+    deleteRoom(roomId);
+    expiredRooms.set(roomId, Date.now());
+
+    // Disconnect everyone; their sockets no longer belong to any room
+    if (room) {
+        room.forEach(client => {
+            userRooms.delete(client);
+            client.roomId = null;
+            client.close(4000, 'Room expired');
+        });
+    }
+}
+
+/**
+ * Check that the sender owns the room, telling them off if not
+ */
+function requireRoomOwner(ws, roomId) {
+    if (rooms.has(roomId) && roomOwners.get(roomId) === ws) {
+        return true;
+    }
+
+    ws.send(JSON.stringify({
+        type: 'moderation_error',
+        message: 'Only the room owner can do that',
+        roomId: roomId,
+        timestamp: Date.now()
+    }));
+    return false;
+}
+
+/**
+ * Find the participant a moderation command is aimed at
+ */
+function getModerationTarget(ws, message) {
+    const { roomId, username } = message;
+    if (!requireRoomOwner(ws, roomId)) {
+        return null;
+    }
+
+    const target = Array.from(rooms.get(roomId)).find(client => client.username === username);
+    const error = !target ? 'User not found in this room' :
+        target === ws ? 'You cannot do that to yourself' :
+        null;
+
+    if (error) {
+        ws.send(JSON.stringify({
+            type: 'moderation_error',
+            message: error,
+            roomId: roomId,
+            timestamp: Date.now()
+        }));
+        return null;
+    }
+    return target;
+}
+
+/**
+ * Identities a connection is known by: its signing key when it published
+ * one, then its network address
+ */
+function getConnectionIdentities(ws, signingKey) {
+    const identities = [];
+    if (signingKey) {
+        identities.push(`key:${signingKey}`);
+    }
+    identities.push(`ip:${ws.ip}`);
+    return identities;
+}
+
+function isMuted(roomId, ws) {
+    const moderation = roomModeration.get(roomId);
+    return !!moderation && getConnectionIdentities(ws, ws.signingKey).some(identity => moderation.muted.has(identity));
+}
+
+/**
+ * Mint the token a member presents to get back into its room after a drop
+ */
+function issueResumeToken(ws) {
+    revokeResumeToken(ws);
+    ws.resumeToken = crypto.randomBytes(16).toString('hex');
+    resumeTokens.set(ws.resumeToken, { roomId: ws.roomId, username: ws.username, expiresAt: null });
+    return ws.resumeToken;
+}
+
+function revokeResumeToken(ws) {
+    if (ws.resumeToken) {
+        resumeTokens.delete(ws.resumeToken);
+        ws.resumeToken = null;
+    }
+}
+
+function isResumeTokenFor(token, roomId, username) {
+    const entry = typeof token === 'string' ? resumeTokens.get(token) : null;
+    return !!entry && entry.roomId === roomId && entry.username === username &&
+        (entry.expiresAt === null || entry.expiresAt > Date.now());
+}
+
+/**
+ * Give a member the token that lets a restored session back in. Unlike a
+ * resume token it outlives drops and resumes, and a member who still holds
+ * a valid one keeps it, so an older backup goes on working.
+ */
+function issueRejoinToken(ws, current) {
+    if (ws.rejoinToken && ws.rejoinToken !== current) {
+        revokeRejoinToken(ws); // the room this socket moved on from
+    }
+    if (isRejoinTokenFor(current, ws.roomId, ws.username)) {
+        ws.rejoinToken = current;
+    } else {
+        ws.rejoinToken = crypto.randomBytes(16).toString('hex');
+        rejoinTokens.set(ws.rejoinToken, { roomId: ws.roomId, username: ws.username });
+    }
+    return ws.rejoinToken;
+}
+
+function revokeRejoinToken(ws) {
+    if (ws.rejoinToken) {
+        rejoinTokens.delete(ws.rejoinToken);
+        ws.rejoinToken = null;
+    }
+}
+
+function isRejoinTokenFor(token, roomId, username) {
+    const entry = typeof token === 'string' ? rejoinTokens.get(token) : null;
+    return !!entry && entry.roomId === roomId && entry.username === username;
+}
+
+/**
+ * Quietly drop the half-open socket a resuming member left behind
+ */
+function evictStaleConnection(roomId, stale) {
+    rooms.get(roomId).delete(stale);
+    userRooms.delete(stale);
+    stale.roomId = null;
+    stale.resumeToken = null;
+    if (roomOwners.get(roomId) === stale) {
+        roomOwners.delete(roomId); // the resuming member picks it straight back up
+    }
+    stale.terminate();
+}
+
+function setRoomOwner(roomId, ws) {
+    roomOwners.set(roomId, ws);
+    console.log(`👑 ${ws.username} now owns room: ${roomId}`);
+
+    broadcastToRoom(roomId, {
+        type: 'owner_changed',
+        roomId: roomId,
+        owner: ws.username,
+        timestamp: Date.now()
+    });
+
+    // Whoever owns the room now decides on everyone still waiting
+    roomJoinRequests.get(roomId).forEach((pending, requestId) => {
+        sendJoinRequest(roomId, requestId, pending.message.username);
+    });
+}
+
+/**
+ * Park a join until the room owner decides on it
+ */
+function requestJoinApproval(ws, message) {
+    const { roomId, username } = message;
+    const requestId = crypto.randomBytes(8).toString('hex');
+
+    roomJoinRequests.get(roomId).set(requestId, { ws, message });
+    ws.pendingJoin = { roomId, requestId };
+
+    console.log(`🚪 ${username} is waiting to join room: ${roomId}`);
+
+    ws.send(JSON.stringify({
+        type: 'join_pending',
+        roomId: roomId,
+        requestId: requestId,
+        message: 'Waiting for the room owner to let you in',
+        timestamp: Date.now()
+    }));
+    sendJoinRequest(roomId, requestId, username);
+}
+
+function sendJoinRequest(roomId, requestId, username) {
+    const owner = roomOwners.get(roomId);
+    if (owner && owner.readyState === WebSocket.OPEN) {
+        owner.send(JSON.stringify({
+            type: 'join_request',
+            roomId: roomId,
+            requestId: requestId,
+            username: username,
+            timestamp: Date.now()
+        }));
+    }
+}
+
+/**
+ * Withdraw a socket's pending join request, telling the owner it went away
+ */
+function cancelJoinRequest(ws) {
+    if (!ws.pendingJoin) {
+        return false;
+    }
+
+    const { roomId, requestId } = ws.pendingJoin;
+    ws.pendingJoin = null;
+
+    const requests = roomJoinRequests.get(roomId);
+    if (!requests || !requests.delete(requestId)) {
+        return false;
+    }
+
+    const owner = roomOwners.get(roomId);
+    if (owner && owner.readyState === WebSocket.OPEN) {
+        owner.send(JSON.stringify({
+            type: 'join_request_cancelled',
+            roomId: roomId,
+            requestId: requestId,
+            timestamp: Date.now()
+        }));
+    }
+    return true;
+}
+
+/**
+ * Pass ownership to the longest-present member when the owner goes away
+ */
+function handOffOwnership(roomId, ws) {
+    if (roomOwners.get(roomId) !== ws) {
+        return;
+    }
+
+    const successor = rooms.get(roomId).values().next().value;
+    if (successor) {
+        setRoomOwner(roomId, successor);
+    } else {
+        roomOwners.delete(roomId);
+    }
+}
+
+/**
+ * Explain why an invite cannot be used, or return null if it can
+ */
+function checkInvite(roomId, token) {
+    const invite = typeof token === 'string' ? roomInvites.get(roomId).get(token) : null;
+
+    if (!invite) {
+        return token ? 'Invite is not valid' : 'This room requires an invite';
+    }
+    if (invite.expiresAt <= Date.now()) {
+        roomInvites.get(roomId).delete(token);
+        return 'Invite has expired';
+    }
+    if (invite.uses >= invite.maxUses) {
+        return 'Invite has been used up';
+    }
+    return null;
+}
+
+/**
+ * Spend one use of an invite, telling the owner how many remain
+ */
+function useInvite(roomId, token) {
+    const invite = roomInvites.get(roomId).get(token);
+    invite.uses++;
+
+    const owner = roomOwners.get(roomId);
+    if (owner && owner.readyState === WebSocket.OPEN) {
+        owner.send(JSON.stringify({
+            type: 'invite_used',
+            roomId: roomId,
+            token: token,
+            uses: invite.uses,
+            timestamp: Date.now()
+        }));
+    }
+}
+
+/**
+ * Check a message against its schema, returning a copy holding only the
+ * fields the schema knows about, or the first problem found
+ */
+function validateMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return { error: 'Message must be a JSON object' };
+    }
+
+    const schema = MESSAGE_SCHEMAS.hasOwnProperty(message.type) ? MESSAGE_SCHEMAS[message.type] : null;
+    if (!schema) {
+        return { error: 'Unknown message type' };
+    }
+
+    try {
+        return { message: { type: message.type, ...sanitizeFields(message, schema, '') } };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+function sanitizeFields(value, fields, path) {
+    const clean = {};
+    for (const [name, rule] of Object.entries(fields)) {
+        const field = value[name];
+        if (field === undefined || field === null) {
+            if (rule.required) {
+                throw new Error(`${path}${name} is required`);
+            }
+            continue;
+        }
+        clean[name] = sanitizeValue(field, rule, `${path}${name}`);
+    }
+    return clean;
+}
+
+function sanitizeValue(value, rule, path) {
+    const allowed = [].concat(rule.type);
+    const actual = Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+
+    if (!allowed.includes(actual)) {
+        throw new Error(`${path} must be ${allowed.join(' or ')}`);
+    }
+
+    if (actual === 'string') {
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            throw new Error(`${path} is longer than ${rule.maxLength} characters`);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            throw new Error(`${path} contains characters that are not allowed`);
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            throw new Error(`${path} must be one of ${rule.enum.join(', ')}`);
+        }
+    } else if (actual === 'integer') {
+        if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+            throw new Error(`${path} is out of range`);
+        }
+    } else if (actual === 'object') {
+        return sanitizeFields(value, rule.fields || {}, `${path}.`);
+    }
+    return value;
+}
+
+/**
+ * Turn away a message that failed validation. Join and create failures
+ * name the room so the waiting client can match them.
+ */
+function rejectInvalidMessage(ws, message, reason) {
+    const type = message && message.type;
+    const namesRoom = (type === 'join_room' || type === 'create_room') && typeof message.roomId === 'string';
+
+    ws.send(JSON.stringify({
+        type: type === 'join_room' ? 'join_error' : 'error',
+        code: 'INVALID_MESSAGE',
+        message: `Invalid message: ${reason}`,
+        roomId: namesRoom ? message.roomId.slice(0, 64) : undefined,
+        timestamp: Date.now()
+    }));
+}
+
+/**
+ * Spend a token from the socket's and the address's bucket for this kind of
+ * message, answering with `rate_limited` when either is empty
+ */
+function checkRateLimit(ws, message) {
+    const category = Object.keys(RATE_LIMITS).find(name => RATE_LIMITS[name].types.includes(message.type)) || 'other';
+    const limits = RATE_LIMITS[category];
+    const now = Date.now();
+
+    if (!addressBuckets.has(ws.ip)) {
+        addressBuckets.set(ws.ip, {});
+    }
+    const socketBucket = refillBucket(ws.rateBuckets, category, limits.socket, now);
+    const addressBucket = refillBucket(addressBuckets.get(ws.ip), category, limits.address, now);
+
+    if (socketBucket.tokens >= 1 && addressBucket.tokens >= 1) {
+        socketBucket.tokens--;
+        addressBucket.tokens--;
+        return true;
+    }
+
+    // Milliseconds until both buckets hold a whole token again
+    const retryAfter = Math.ceil(Math.max(
+        (1 - socketBucket.tokens) / limits.socket.perSecond,
+        (1 - addressBucket.tokens) / limits.address.perSecond
+    ) * 1000);
+
+    console.warn(`⚠️ Rate limited ${message.type} from ${ws.ip}`);
+    ws.send(JSON.stringify({
+        type: 'rate_limited',
+        message: 'Too many requests, please slow down',
+        requestType: message.type,
+        roomId: message.roomId,
+        retryAfter: retryAfter,
+        timestamp: now,
+        // Dropped file chunks and chat messages are resent by the client, so say which one it was
+        ...(message.type === 'file_chunk' ? { fileId: message.fileId, index: message.index } : {}),
+        ...(message.type === 'chat_message' && typeof message.clientId === 'string' ?
+            { clientId: message.clientId.slice(0, 32) } : {})
+    }));
+
+    if (limits.strikes === false) {
+        return false;
+    }
+
+    ws.rateStrikes = ws.rateStrikes.filter(time => now - time < RATE_LIMIT_STRIKE_WINDOW);
+    ws.rateStrikes.push(now);
+    if (ws.rateStrikes.length >= RATE_LIMIT_STRIKES) {
+        console.warn(`🚫 Disconnecting ${ws.ip} for repeatedly exceeding rate limits`);
+        ws.close(4008, 'Rate limit exceeded');
+    }
+    return false;
+}
+
+function refillBucket(buckets, category, limit, now) {
+    const bucket = buckets[category] || { tokens: limit.capacity, updatedAt: now };
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.perSecond);
+    bucket.updatedAt = now;
+    buckets[category] = bucket;
+    return bucket;
+}
+
+/**
+ * Keep a relayed message for people who join later, within the room's caps
+ */
+function recordHistory(roomId, message) {
+    const history = roomHistory.get(roomId);
+    history.push(message);
+    pruneHistory(history);
+}
+
+/**
+ * Drop the oldest messages once there are too many or they are too old
+ */
+function pruneHistory(history) {
+    const cutoff = Date.now() - HISTORY_MAX_AGE;
+    while (history.length > MAX_HISTORY_MESSAGES ||
+        (history.length > 0 && history[0].serverTimestamp < cutoff)) {
+        history.shift();
+    }
+}
+
+/**
+ * Send a new member the recent messages the room kept. They stay
+ * encrypted; only members holding the right keys can read them.
+ */
+function sendHistory(ws, roomId) {
+    const history = roomHistory.get(roomId);
+    if (!history) {
+        return;
+    }
+
+    pruneHistory(history);
+    if (history.length > 0) {
+        ws.send(JSON.stringify({
+            type: 'history',
+            roomId: roomId,
+            messages: history,
+            timestamp: Date.now()
+        }));
+    }
+}
+
+/**
+ * The address a connection came from. Behind trusted proxies that is the
+ * entry the outermost one added to X-Forwarded-For, not the proxy itself.
+ */
+function getClientAddress(req) {
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+
+    if (TRUST_PROXY && forwarded.length >= TRUST_PROXY) {
+        return forwarded[forwarded.length - TRUST_PROXY];
+    }
+    return req.socket.remoteAddress;
+}
+
+function normalizeRoomSettings(settings, passphraseProtected) {
+    const provided = settings || {};
+    return {
+        coverTraffic: provided.coverTraffic === true,
+        inviteOnly: provided.inviteOnly === true,
+        knockToJoin: provided.knockToJoin === true,
+        // Kept history is sealed under the room passphrase, so it needs one
+        history: provided.history === true && passphraseProtected,
+        // Members share recent history with newcomers unless the creator opts out
+        historySync: provided.historySync !== false
+    };
+}
+
+function sendToUser(roomId, username, message) {
+    if (!rooms.has(roomId)) {
+        return false;
+    }
+
+    for (const client of rooms.get(roomId)) {
+        if (client.username === username && client.readyState === WebSocket.OPEN) {
+            client.send(JSON.stringify(message));
+            return true;
+        }
+    }
+    return false;
+}
+
+// Get server status
+router.get('/status', (req, res) => {
     const status = {
         status: 'running',
         timestamp: Date.now(),
         rooms: Array.from(rooms.entries()).map(([roomId, clients]) => ({
             roomId,
             participantCount: clients.size,
-            creator: roomCreators.get(roomId) || 'unknown'
+            creator: roomCreators.get(roomId) || 'unknown',
+            owner: roomOwners.has(roomId) ? roomOwners.get(roomId).username : null,
+            locked: roomModeration.has(roomId) ? roomModeration.get(roomId).locked : false,
+            passphraseProtected: roomVerifiers.has(roomId),
+            expiresAt: roomExpiry.has(roomId) ? roomExpiry.get(roomId).expiresAt : null,
+            settings: roomSettings.get(roomId)
         })),
         totalRooms: rooms.size,
         totalConnections: wss.clients.size
@@ -371,11 +1903,18 @@ app.get('/status', (req, res) => {
 
 // Clean up empty rooms periodically
 setInterval(() => {
+    // Empty rooms stay while someone who dropped out can still resume into them
+    const resumableRooms = new Set();
+    for (const entry of resumeTokens.values()) {
+        if (entry.expiresAt === null || entry.expiresAt > Date.now()) {
+            resumableRooms.add(entry.roomId);
+        }
+    }
+
     let cleanedCount = 0;
     for (const [roomId, clients] of rooms.entries()) {
-        if (clients.size === 0) {
-            rooms.delete(roomId);
-            roomCreators.delete(roomId);
+        if (clients.size === 0 && !resumableRooms.has(roomId)) {
+            deleteRoom(roomId);
             cleanedCount++;
             console.log(`🧹 Cleaned up empty room: ${roomId}`);
         }
@@ -384,13 +1923,41 @@ setInterval(() => {
     if (cleanedCount > 0) {
         console.log(`🧹 Cleaned up ${cleanedCount} empty room(s)`);
     }
+
+    // Drop address buckets that have sat idle long enough to be full again
+    for (const [address, buckets] of addressBuckets.entries()) {
+        if (Object.values(buckets).every(bucket => Date.now() - bucket.updatedAt > RATE_BUCKET_IDLE)) {
+            addressBuckets.delete(address);
+        }
+    }
+
+    // Forget resume tokens that ran out or whose room is gone
+    for (const [token, entry] of resumeTokens.entries()) {
+        if (!rooms.has(entry.roomId) || (entry.expiresAt !== null && entry.expiresAt <= Date.now())) {
+            resumeTokens.delete(token);
+        }
+    }
+
+    // Rejoin tokens last as long as their room
+    for (const [token, entry] of rejoinTokens.entries()) {
+        if (!rooms.has(entry.roomId)) {
+            rejoinTokens.delete(token);
+        }
+    }
+
+    // Forget expired room IDs once nobody can still be holding on to them
+    for (const [roomId, expiredAt] of expiredRooms.entries()) {
+        if (Date.now() - expiredAt > EXPIRED_ROOM_RETENTION) {
+            expiredRooms.delete(roomId);
+        }
+    }
     
     // Log server status periodically
     console.log(`📊 Server Status - Rooms: ${rooms.size}, Connections: ${wss.clients.size}`);
 }, 30000); // Every 30 seconds
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+router.get('/health', (req, res) => {
     res.json({ 
         status: 'healthy', 
         timestamp: Date.now(),
@@ -433,7 +2000,7 @@ process.on('SIGINT', () => {
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-    console.log(`🚀 SecureChat web app running on port ${PORT}`);
+    console.log(`🚀 SecureChat web app running on port ${PORT}${BASE_PATH ? ` under ${BASE_PATH}` : ''}`);
     console.log(`📁 Serving files from: ${path.join(__dirname, 'public')}`);
     console.log(`🔧 Server features:`);
     console.log(`   • Room management with validation`);